@@ -9,27 +9,120 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import automator from "miniprogram-automator";
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
-import { execFile } from "child_process";
+import { PNG } from "pngjs";
+import { spawn } from "child_process";
 import fs from "fs";
+import os from "os";
 import path from "path";
+import { fileURLToPath } from "url";
 
 const DEFAULT_PORT = parseInt(process.env.WECHAT_PORT || "9420", 10);
 const CLI_TIMEOUT = parseInt(process.env.WECHAT_CLI_TIMEOUT || "120000", 10);
 const MAX_LOG_ENTRIES = 200;
+const MAX_JOBS = 50;
+const MAX_CLOUD_FILE_BYTES = 10 * 1024 * 1024;
+const LOCAL_INVOKE_TIMEOUT = 10000;
+const MAX_JOB_OUTPUT_LINES = 2000;
+const KILL_GRACE_MS = 5000;
+const MAX_HISTORY_STEPS = 500;
+const MAX_NETWORK_ENTRIES = 200;
+const MAX_NETWORK_BODY_CHARS = 10000;
+const NETWORK_BINDING = '__mcpNetworkLog';
+const MOCK_CALL_BINDING = '__mcpMockCall';
+const MAX_MOCK_CALLS = 500;
+const TRACE_BINDING = '__mcpTraceLog';
+const MAX_TRACE_EVENTS = 5000;
+const MAX_PROFILE_RECORDS = 2000;
+// Defaults follow the DevTools experience audit: render under 1s, setData payloads under 256KB
+const PROFILE_THRESHOLDS = { firstRender: 1000, ready: 3000, setDataTime: 100, setDataBytes: 256 * 1024 };
 const AUTOMATOR_TIMEOUT = parseInt(process.env.WECHAT_AUTOMATOR_TIMEOUT || "10000", 10);
+const SCREENSHOT_TIMEOUT = 30000;
+// How long MiniProgram route methods wait for the new page before reading it
+const ROUTE_SETTLE_MS = 3000;
+const VISUAL_BASELINE_DIR = '.visual-baselines';
+const SCENARIO_DIR = '.scenarios';
+const CRAWL_DIR = '.crawl';
+const PACKAGE_SIZE_DIR = '.package-size';
+const MB = 1024 * 1024;
+const PACKAGE_SIZE_LIMITS = { main: 2 * MB, subPackage: 2 * MB, total: 20 * MB };
+const RECONNECT_MAX_ATTEMPTS = 8;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+// Transport-level failures that may mean the WebSocket is gone; a plain timeout says nothing
+// about the socket. checkConnectionLoss confirms with a probe before reconnecting.
+const CONNECTION_LOST_PATTERN = /Connection closed|WebSocket is not open|ECONNRESET|ECONNREFUSED|EPIPE|socket hang up/i;
 
-let miniProgram = null;
-let connectedProjectPath = null;
-let connectedCliPath = null;
-let projectType = null; // null | "program" | "game"
 const PROJECT_TYPE_PROGRAM = "program";
 const PROJECT_TYPE_GAME = "game";
-const consoleLogs = [];
+const sessions = new Map(); // session id -> session, see createSession
+let defaultSessionId = null; // used when a tool call doesn't name a session
+// Raw result a recorded tool attaches to its response; the text content alone loses null vs "null"
+const RECORDED_VALUE = Symbol('recordedValue');
+const jobs = new Map(); // job id -> CLI job, see startCliJob
+let jobCounter = 0;
+
+function createSession(id) {
+  return {
+    id,
+    miniProgram: null,
+    wsEndpoint: null,
+    projectPath: null,
+    cliPath: null,
+    projectType: null, // null | "program" | "game"
+    connectedAt: null,
+    stale: false, // connection lost, reconnectSession() is running
+    reconnecting: null, // promise of the running reconnectSession()
+    recovery: null, // last disconnect / reconnect report for check_health
+    consoleLogs: [],
+    networkRequests: [],
+    networkMocks: [], // routes from mock_network_route, newest first
+    wxMocks: new Map(), // method -> config from mock_wx_method
+    mockCalls: [],
+    history: [], // recordable steps since connecting, for export_test
+    recording: null, // null | { name, startedAt, steps } from start_recording
+    trace: null, // null | { active, startedAt, events } from start_trace
+  };
+}
+
+function findSession(predicate) {
+  return [...sessions.values()].find(predicate) || null;
+}
+
+// Called once a launch/connect succeeds; unnamed sessions are named after the project
+function registerSession(session, baseName) {
+  if (!session.id) {
+    const base = (baseName || 'devtools').replace(/[^\w.-]+/g, '-');
+    let id = base;
+    for (let n = 2; sessions.has(id); n++) id = `${base}-${n}`;
+    session.id = id;
+  }
+  session.connectedAt = new Date().toISOString();
+  sessions.set(session.id, session);
+  defaultSessionId = session.id;
+}
+
+// A tool call's `session` argument picks the session; without one the most recently connected session is used
+function resolveSession(toolName, sessionId) {
+  const tool = toolRegistry.get(toolName);
+  const createsSession = !!(tool && tool.createsSession);
+  if (sessionId) {
+    if (sessions.has(sessionId)) return sessions.get(sessionId);
+    if (createsSession) return createSession(sessionId);
+    const known = [...sessions.keys()];
+    throw new Error(`Unknown session "${sessionId}". Active sessions: ${known.length > 0 ? known.join(', ') : 'none'}.`);
+  }
+  if (createsSession) return createSession(null);
+  return sessions.get(defaultSessionId) || createSession(null);
+}
 
 function withTimeout(promise, ms, errorMsg) {
   return Promise.race([
@@ -40,7 +133,6 @@ function withTimeout(promise, ms, errorMsg) {
 
 function getCliPath(customPath) {
   if (customPath && fs.existsSync(customPath)) return customPath;
-  if (connectedCliPath && fs.existsSync(connectedCliPath)) return connectedCliPath;
 
   if (process.platform === 'darwin') {
     const defaultMacPath = '/Applications/wechatwebdevtools.app/Contents/MacOS/cli';
@@ -68,37 +160,737 @@ function getCliPath(customPath) {
   return null;
 }
 
-function executeCli(args, cliPath) {
-  return new Promise((resolve, reject) => {
-    const finalCliPath = getCliPath(cliPath);
-    if (!finalCliPath) {
-      return reject(new Error("WeChat DevTools CLI not found. Please provide a valid cliPath."));
+function addJobLine(job, stream, text) {
+  if (job.lines.length >= MAX_JOB_OUTPUT_LINES) {
+    job.lines.shift();
+    job.droppedLines++;
+  }
+  const line = { stream, text };
+  job.lines.push(line);
+  if (job.onLine) job.onLine(line);
+}
+
+// Spawns the DevTools CLI as a tracked job. Output is kept line by line (and passed to
+// onLine as it arrives) so get_job_status can follow a long command while it runs.
+function startCliJob(args, cliPath, { timeout = CLI_TIMEOUT, onLine } = {}) {
+  const finalCliPath = getCliPath(cliPath);
+  if (!finalCliPath) {
+    throw new Error("WeChat DevTools CLI not found. Please provide a valid cliPath.");
+  }
+  const job = {
+    id: `job-${++jobCounter}`,
+    command: ['cli', ...args].join(' '),
+    status: 'running', // running | succeeded | failed | timedOut | cancelled
+    startedAt: Date.now(),
+    endedAt: null,
+    exitCode: null,
+    timeout,
+    lines: [],
+    droppedLines: 0,
+    stdout: '',
+    stderr: '',
+    child: null,
+    onLine,
+    result: null, // tool result once the job has finished
+  };
+  const finished = [...jobs.values()].filter(existing => existing.status !== 'running');
+  while (jobs.size >= MAX_JOBS && finished.length > 0) jobs.delete(finished.shift().id);
+  jobs.set(job.id, job);
+
+  job.promise = new Promise((resolve, reject) => {
+    const child = spawn(finalCliPath, args);
+    job.child = child;
+    const timer = timeout > 0 ? setTimeout(() => {
+      job.status = 'timedOut';
+      stopChild(child);
+    }, timeout) : null;
+    for (const stream of ['stdout', 'stderr']) {
+      let partial = '';
+      child[stream].on('data', chunk => {
+        const text = chunk.toString();
+        job[stream] += text;
+        const parts = (partial + text).split(/\r?\n/);
+        partial = parts.pop();
+        parts.forEach(line => addJobLine(job, stream, line));
+      });
+      child[stream].on('end', () => {
+        if (partial) addJobLine(job, stream, partial);
+      });
     }
+    const settle = (error, code) => {
+      if (job.endedAt) return;
+      clearTimeout(timer);
+      job.endedAt = Date.now();
+      job.exitCode = code;
+      job.child = null;
+      job.onLine = null;
+      if (job.status === 'timedOut') return reject(new Error(`CLI execution timed out after ${timeout}ms`));
+      if (job.status === 'cancelled') return reject(new Error(`CLI job ${job.id} was cancelled`));
+      if (error || code !== 0) {
+        job.status = 'failed';
+        const reason = error ? error.message : `exited with code ${code}`;
+        return reject(new Error(`CLI failed: ${reason}\nStderr: ${job.stderr}\nStdout: ${job.stdout}`));
+      }
+      job.status = 'succeeded';
+      resolve(job.stdout);
+    };
+    child.on('error', error => settle(error, null));
+    child.on('close', code => settle(null, code));
+  });
+  return job;
+}
+
+// SIGTERM first; a CLI that ignores it is killed after a grace period so its job still settles
+function stopChild(child) {
+  child.kill();
+  setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+  }, KILL_GRACE_MS).unref();
+}
+
+function cancelJob(job) {
+  if (!job.child) return false;
+  job.status = 'cancelled';
+  stopChild(job.child);
+  return true;
+}
+
+async function executeCli(args, cliPath, options) {
+  return startCliJob(args, cliPath, options).promise;
+}
+
+// Shared by the CLI tools: runs the command as a job and streams its output lines as MCP
+// progress notifications when the client sent a progressToken. With `background`, returns
+// the job id right away; the finished result is then read with get_job_status.
+async function runCliTool(args, extra, cliArgs, cliPath, finish, cleanup) {
+  const progressToken = extra && extra._meta ? extra._meta.progressToken : undefined;
+  let progress = 0;
+  const onLine = progressToken !== undefined && !args.background
+    ? line => extra.sendNotification({ method: "notifications/progress", params: { progressToken, progress: ++progress, message: line.text } }).catch(() => {})
+    : undefined;
+  const job = startCliJob(cliArgs, cliPath, { timeout: args.timeout ?? CLI_TIMEOUT, onLine });
+  const done = job.promise
+    .then(output => finish(output.trim()))
+    .catch(error => ({ isError: true, content: [{ type: "text", text: error.message }] }))
+    .then(result => (job.result = result))
+    .finally(() => cleanup && cleanup());
+  if (args.background) {
+    return { content: [{ type: "text", text: `Started ${job.id}: ${job.command}\nFollow it with 'get_job_status' (jobId "${job.id}") or stop it with 'cancel_job'.` }] };
+  }
+  const signal = extra && extra.signal;
+  const onAbort = () => cancelJob(job);
+  if (signal) signal.addEventListener('abort', onAbort);
+  try {
+    return await done;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// --info-output target for preview / upload, read once the command has finished
+function createInfoOutput() {
+  const file = path.join(os.tmpdir(), `wechat-mcp-info-${process.pid}-${Date.now()}.json`);
+  return { args: ['--info-output', file], read: () => readJsonFile(file), cleanup: () => fs.rmSync(file, { force: true }) };
+}
+
+const CLI_PACKAGE_LABELS = { __FULL__: 'all packages', __APP__: 'main package' };
+
+// { size: { total, packages: [{ name, size }] } } from preview / upload, with readable package names
+function summarizeCliInfo(info) {
+  if (!info || !info.size) return info;
+  const packages = (info.size.packages || []).map(pkg => ({ ...pkg, label: CLI_PACKAGE_LABELS[pkg.name] || `subpackage ${pkg.name}` }));
+  return { ...info, size: { ...info.size, packages } };
+}
+
+function getCliProject(args, session) {
+  const projectPath = args.projectPath || session.projectPath;
+  if (!projectPath) {
+    throw new Error("Project path required. Connect first or provide projectPath.");
+  }
+  return projectPath;
+}
+
+function addLog(session, entry) {
+  if (session.consoleLogs.length >= MAX_LOG_ENTRIES) {
+    session.consoleLogs.shift();
+  }
+  session.consoleLogs.push(entry);
+  if (entry.level === 'error' || entry.type === 'exception') {
+    notifyResourceUpdated(session, LOGS_RESOURCE_URI);
+  }
+}
+
+// Merges start/end events of the same request (matched by id) into one entry
+function addNetworkRecord(session, record) {
+  const existing = session.networkRequests.find(entry => entry.id === record.id);
+  if (existing) {
+    Object.assign(existing, record);
+    return;
+  }
+  if (session.networkRequests.length >= MAX_NETWORK_ENTRIES) {
+    session.networkRequests.shift();
+  }
+  session.networkRequests.push(record);
+}
+
+function isFailedNetworkRecord(entry) {
+  return entry.state === 'failed' || (entry.api !== 'connectSocket' && entry.status >= 400);
+}
+
+// Runs inside the AppService (serialized by evaluate), so it must be self-contained.
+// Wraps the wx network APIs and reports each request through the exposed binding.
+// Also (re)applies the mock routes from mock_network_route; the first matching
+// route answers the request instead of the network.
+function networkHookScript(bindingName, maxBodyChars, routes) {
+  wx.__mcpNetworkRoutes = (routes || []).map(route => Object.assign({}, route, { urlRegex: new RegExp(route.urlPattern) }));
+  if (wx.__mcpNetworkHooked) return false;
+  const root = typeof globalThis !== 'undefined' ? globalThis
+    : (typeof GameGlobal !== 'undefined' ? GameGlobal : (typeof global !== 'undefined' ? global : {}));
+  const report = record => {
+    try {
+      const binding = root[bindingName];
+      if (typeof binding === 'function') binding(record);
+    } catch (e) {}
+  };
+  const truncate = body => {
+    if (body === undefined || body === null) return body;
+    if (typeof ArrayBuffer !== 'undefined' && body instanceof ArrayBuffer) return `[ArrayBuffer ${body.byteLength} bytes]`;
+    let text = typeof body === 'string' ? body : JSON.stringify(body);
+    if (text && text.length > maxBodyChars) text = text.slice(0, maxBodyChars) + `... (${text.length} chars)`;
+    return text;
+  };
+  let seq = 0;
+  const nextId = () => `${Date.now().toString(36)}-${++seq}`;
 
-    const child = execFile(finalCliPath, args, { timeout: CLI_TIMEOUT }, (error, stdout, stderr) => {
-      if (error) {
-        if (error.killed) {
-          return reject(new Error(`CLI execution timed out after ${CLI_TIMEOUT}ms`));
+  const wrap = (api, describe) => {
+    const original = wx[api];
+    if (typeof original !== 'function') return;
+    wx[api] = function (options) {
+      options = options || {};
+      const startTime = Date.now();
+      const base = Object.assign({ id: nextId(), api, url: options.url, state: 'pending', startTime }, describe(options));
+      const route = wx.__mcpNetworkRoutes.find(r =>
+        r.apis.indexOf(api) >= 0 && (r.method === '*' || r.method === base.method) && r.urlRegex.test(options.url || ''));
+      if (route) base.mocked = true;
+      report(base);
+      const done = (extra) => report(Object.assign({}, base, extra, { duration: Date.now() - startTime }));
+      if (route) {
+        setTimeout(() => {
+          if (route.fail) {
+            const err = { errMsg: `${api}:fail ${route.fail}` };
+            done({ state: 'failed', error: err.errMsg });
+            if (options.fail) options.fail(err);
+            if (options.complete) options.complete(err);
+            return;
+          }
+          const res = { statusCode: route.status, header: route.headers || {}, errMsg: `${api}:ok` };
+          if (api === 'downloadFile') res.tempFilePath = route.body;
+          else res.data = route.body;
+          done({ state: 'done', status: res.statusCode, responseHeaders: res.header, responseBody: truncate(route.body) });
+          if (options.success) options.success(res);
+          if (options.complete) options.complete(res);
+        }, route.delay || 0);
+        const noop = () => {};
+        return { abort: noop, onProgressUpdate: noop, offProgressUpdate: noop, onHeadersReceived: noop, offHeadersReceived: noop };
+      }
+      return original.call(wx, Object.assign({}, options, {
+        success(res) {
+          done({
+            state: 'done',
+            status: res.statusCode,
+            responseHeaders: res.header,
+            responseBody: api === 'downloadFile' ? (res.tempFilePath || res.filePath) : truncate(res.data),
+          });
+          if (options.success) options.success(res);
+        },
+        fail(err) {
+          done({ state: 'failed', error: err && err.errMsg });
+          if (options.fail) options.fail(err);
+        },
+      }));
+    };
+  };
+
+  wrap('request', o => ({ method: (o.method || 'GET').toUpperCase(), requestHeaders: o.header, requestBody: truncate(o.data) }));
+  wrap('uploadFile', o => ({ method: 'POST', requestHeaders: o.header, requestBody: truncate({ filePath: o.filePath, name: o.name, formData: o.formData }) }));
+  wrap('downloadFile', o => ({ method: 'GET', requestHeaders: o.header }));
+
+  const originalConnectSocket = wx.connectSocket;
+  if (typeof originalConnectSocket === 'function') {
+    wx.connectSocket = function (options) {
+      options = options || {};
+      const startTime = Date.now();
+      const base = { id: nextId(), api: 'connectSocket', url: options.url, method: 'WS', state: 'pending', startTime, requestHeaders: options.header, messagesSent: 0, messagesReceived: 0 };
+      report(base);
+      const task = originalConnectSocket.call(wx, options);
+      if (task) {
+        const originalSend = task.send;
+        if (typeof originalSend === 'function') {
+          task.send = function (sendOptions) {
+            base.messagesSent++;
+            return originalSend.call(task, sendOptions);
+          };
         }
-        return reject(new Error(`CLI failed: ${error.message}\nStderr: ${stderr}\nStdout: ${stdout}`));
+        const update = extra => report(Object.assign(base, extra, { duration: Date.now() - startTime }));
+        if (task.onOpen) task.onOpen(() => update({ state: 'open' }));
+        if (task.onMessage) task.onMessage(() => { base.messagesReceived++; });
+        if (task.onError) task.onError(err => update({ state: 'failed', error: err && err.errMsg }));
+        if (task.onClose) task.onClose(res => update({ state: 'closed', status: res && res.code, error: res && res.reason }));
       }
-      resolve(stdout);
-    });
+      return task;
+    };
+  }
+
+  wx.__mcpNetworkHooked = true;
+  return true;
+}
+
+// Hooks are lost when the AppService reloads, so this is safe to call repeatedly
+async function installNetworkHooks(session) {
+  return withTimeout(session.miniProgram.evaluate(networkHookScript, NETWORK_BINDING, MAX_NETWORK_BODY_CHARS, session.networkMocks), AUTOMATOR_TIMEOUT, 'Installing network hooks timed out');
+}
+
+// URL patterns: /regex/, a glob with * wildcards (matched against the whole URL), or a plain substring
+function urlPatternToRegex(pattern) {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    const source = pattern.slice(1, -1);
+    new RegExp(source);
+    return source;
+  }
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return pattern.includes('*') ? `^${escaped.replace(/\*/g, '.*')}$` : escaped;
+}
+
+function normalizeNetworkRoute(session, route, source) {
+  if (!route || typeof route.url !== 'string') {
+    throw new Error(`Invalid network route${source ? ` in ${source}` : ''}: 'url' is required`);
+  }
+  let body = route.body;
+  if (route.bodyFile) {
+    const bodyPath = path.isAbsolute(route.bodyFile) ? route.bodyFile : path.join(session.projectPath || '', route.bodyFile);
+    const text = fs.readFileSync(bodyPath, 'utf-8');
+    body = bodyPath.endsWith('.json') ? JSON.parse(text) : text;
+  }
+  return {
+    url: route.url,
+    urlPattern: urlPatternToRegex(route.url),
+    method: (route.method || '*').toUpperCase(),
+    apis: route.api ? [route.api] : ['request', 'uploadFile', 'downloadFile'],
+    status: route.status || 200,
+    headers: route.headers || { 'Content-Type': 'application/json' },
+    body: body === undefined ? '' : body,
+    delay: route.delay || 0,
+    fail: route.fail || null,
+    source: source || null,
+  };
+}
+
+function addNetworkMock(session, route) {
+  const index = session.networkMocks.findIndex(existing =>
+    existing.url === route.url && existing.method === route.method && existing.apis.join() === route.apis.join());
+  if (index >= 0) session.networkMocks.splice(index, 1);
+  // Newest first, so a more recent route overrides an older overlapping one
+  session.networkMocks.unshift(route);
+}
+
+function loadNetworkFixtures(session, dir) {
+  const fixturesDir = path.isAbsolute(dir) ? dir : path.join(session.projectPath || '', dir);
+  if (!fs.existsSync(fixturesDir)) {
+    throw new Error(`Fixtures directory does not exist: ${fixturesDir}`);
+  }
+  const routes = [];
+  for (const file of fs.readdirSync(fixturesDir).filter(f => f.endsWith('.json')).sort()) {
+    const filePath = path.join(fixturesDir, file);
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    for (const route of Array.isArray(content) ? content : [content]) {
+      routes.push(normalizeNetworkRoute(session, route, file));
+    }
+  }
+  return routes;
+}
+
+function addMockCall(session, call) {
+  if (session.mockCalls.length >= MAX_MOCK_CALLS) {
+    session.mockCalls.shift();
+  }
+  session.mockCalls.push(call);
+}
+
+// Runs inside the AppService. Replaces each mocked wx method with a function that
+// answers from the mock config (cases by argument, then sequence, then the static
+// result/fail) and reports every call. Methods no longer in `mocks` are restored.
+function wxMockScript(bindingName, mocks) {
+  const root = typeof globalThis !== 'undefined' ? globalThis
+    : (typeof GameGlobal !== 'undefined' ? GameGlobal : (typeof global !== 'undefined' ? global : {}));
+  const originals = wx.__mcpOriginals || (wx.__mcpOriginals = {});
+  const active = wx.__mcpMocks || (wx.__mcpMocks = {});
+  const restored = [];
+  Object.keys(active).forEach(method => {
+    if (!mocks.some(mock => mock.method === method)) {
+      wx[method] = originals[method];
+      delete active[method];
+      restored.push(method);
+    }
+  });
+
+  const matches = (expected, actual) => {
+    if (expected === null || typeof expected !== 'object') return expected === actual;
+    if (actual === null || typeof actual !== 'object') return false;
+    return Object.keys(expected).every(key => matches(expected[key], actual[key]));
+  };
+  const report = call => {
+    try {
+      const binding = root[bindingName];
+      if (typeof binding === 'function') binding(call);
+    } catch (e) {}
+  };
+  const serializable = value => {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (e) {
+      return String(value);
+    }
+  };
+
+  mocks.forEach(mock => {
+    if (!(mock.method in originals)) originals[mock.method] = wx[mock.method];
+    if (active[mock.method] && active[mock.method].id === mock.id) return;
+    active[mock.method] = { id: mock.id, count: 0 };
+    wx[mock.method] = function (...args) {
+      const entry = active[mock.method];
+      const index = entry.count++;
+      const first = args[0];
+      let response = null;
+      let source = 'default';
+      const caseIndex = (mock.cases || []).findIndex(c => matches(c.match, first));
+      if (caseIndex >= 0) {
+        response = mock.cases[caseIndex];
+        source = `case ${caseIndex}`;
+      } else if (mock.sequence && mock.sequence.length > 0) {
+        const step = Math.min(index, mock.sequence.length - 1);
+        response = mock.sequence[step];
+        source = `sequence ${step}`;
+      } else {
+        response = { result: mock.result, fail: mock.fail };
+      }
+      report({
+        method: mock.method,
+        callIndex: index,
+        args: serializable(args),
+        source,
+        outcome: response.fail ? 'fail' : 'success',
+        timestamp: Date.now(),
+      });
+
+      if (/Sync$/.test(mock.method)) {
+        if (response.fail) throw new Error(`${mock.method}:fail ${response.fail}`);
+        return response.result;
+      }
+      const res = response.fail
+        ? { errMsg: `${mock.method}:fail ${response.fail}` }
+        : (response.result && typeof response.result === 'object' && !Array.isArray(response.result)
+          ? Object.assign({ errMsg: `${mock.method}:ok` }, response.result)
+          : response.result);
+      const options = first && typeof first === 'object' ? first : {};
+      if (!options.success && !options.fail && !options.complete) {
+        return new Promise((resolve, reject) => setTimeout(() => (response.fail ? reject(res) : resolve(res)), mock.delay || 0));
+      }
+      setTimeout(() => {
+        if (response.fail) {
+          if (options.fail) options.fail(res);
+        } else if (options.success) {
+          options.success(res);
+        }
+        if (options.complete) options.complete(res);
+      }, mock.delay || 0);
+    };
+  });
+  return restored;
+}
+
+async function installWxMocks(session) {
+  return withTimeout(session.miniProgram.evaluate(wxMockScript, MOCK_CALL_BINDING, [...session.wxMocks.values()]), AUTOMATOR_TIMEOUT, 'Installing wx mocks timed out');
+}
+
+// Runs inside the AppService. Wraps Page() / Component() so pages and components
+// registered from now on (e.g. with lazy code loading) report their lifecycle hooks
+// and event handlers, and instruments the page instances that already exist. Every
+// traced instance also reports its setData calls (keys, payload size, render time).
+function traceHookScript(bindingName, enabled) {
+  wx.__mcpTraceEnabled = enabled;
+  if (!enabled) return false;
+  const root = typeof globalThis !== 'undefined' ? globalThis : (typeof global !== 'undefined' ? global : {});
+  const report = record => {
+    if (!wx.__mcpTraceEnabled) return;
+    try {
+      const binding = root[bindingName];
+      if (typeof binding === 'function') binding(Object.assign({ start: Date.now() }, record));
+    } catch (e) {}
+  };
+  const PAGE_HOOKS = ['onLoad', 'onShow', 'onReady', 'onHide', 'onUnload', 'onPullDownRefresh', 'onReachBottom', 'onTabItemTap', 'onResize'];
+  const COMPONENT_HOOKS = ['created', 'attached', 'ready', 'moved', 'detached', 'error'];
+  const nameOf = instance => (instance && (instance.route || instance.is)) || 'unknown';
+  const isEvent = arg => !!arg && typeof arg === 'object' && typeof arg.type === 'string' && ('currentTarget' in arg || 'target' in arg);
+  let seq = 0;
+
+  const wrapSetData = instance => {
+    if (!instance || typeof instance.setData !== 'function' || instance.setData.__mcpTraced) return;
+    const original = instance.setData;
+    const traced = function (data, callback) {
+      const start = Date.now();
+      const id = `${start.toString(36)}-${++seq}`;
+      let size = -1;
+      try { size = JSON.stringify(data).length; } catch (e) {}
+      report({ id, kind: 'setData', target: nameOf(this), keys: Object.keys(data || {}), size, start });
+      return original.call(this, data, function () {
+        report({ id, renderTime: Date.now() - start, start });
+        if (typeof callback === 'function') return callback.apply(this, arguments);
+      });
+    };
+    traced.__mcpTraced = true;
+    instance.setData = traced;
+  };
+
+  // describe(instance, args) returns the record to report, or null to skip the call
+  const wrapMethod = (holder, name, describe) => {
+    const original = holder[name];
+    if (typeof original !== 'function' || original.__mcpTraced) return;
+    const traced = function (...args) {
+      wrapSetData(this);
+      const record = describe(this, args);
+      const start = Date.now();
+      try {
+        return original.apply(this, args);
+      } finally {
+        if (record) report(Object.assign(record, { start, duration: Date.now() - start }));
+      }
+    };
+    traced.__mcpTraced = true;
+    holder[name] = traced;
+  };
+  const lifecycle = (hook, component) => self => ({ kind: 'lifecycle', target: nameOf(self), hook, component: component || undefined });
+  const handler = name => (self, args) => isEvent(args[0]) ? {
+    kind: 'event',
+    target: nameOf(self),
+    handler: name,
+    eventType: args[0].type,
+    element: args[0].currentTarget && (args[0].currentTarget.id || undefined),
+    dataset: args[0].currentTarget && args[0].currentTarget.dataset,
+  } : null;
+  const traceMethods = (holder, hooks) => Object.keys(holder).forEach(key => {
+    if (typeof holder[key] !== 'function' || key === 'setData' || key.charAt(0) === '_') return;
+    wrapMethod(holder, key, hooks.indexOf(key) >= 0 ? lifecycle(key) : handler(key));
   });
+
+  const tracePageOptions = options => {
+    // Empty hooks so the timeline shows every lifecycle step, not just the implemented ones
+    ['onLoad', 'onShow', 'onReady', 'onHide', 'onUnload'].forEach(hook => {
+      if (typeof options[hook] !== 'function') options[hook] = function () {};
+    });
+    traceMethods(options, PAGE_HOOKS);
+  };
+  const traceComponentOptions = options => {
+    const lifetimes = options.lifetimes = options.lifetimes || {};
+    COMPONENT_HOOKS.forEach(hook => {
+      if (typeof lifetimes[hook] !== 'function' && typeof options[hook] === 'function') lifetimes[hook] = options[hook];
+      if (typeof lifetimes[hook] !== 'function' && (hook === 'attached' || hook === 'detached')) lifetimes[hook] = function () {};
+      wrapMethod(lifetimes, hook, lifecycle(hook, true));
+    });
+    if (options.pageLifetimes) {
+      Object.keys(options.pageLifetimes).forEach(hook => wrapMethod(options.pageLifetimes, hook, lifecycle(`pageLifetimes.${hook}`, true)));
+    }
+    // Pages built with Component() keep their page hooks in methods
+    if (options.methods) traceMethods(options.methods, PAGE_HOOKS);
+  };
+  const tracePageInstance = page => {
+    wrapSetData(page);
+    traceMethods(page, PAGE_HOOKS);
+  };
+
+  const hooked = !wx.__mcpTraceHooked;
+  if (hooked) {
+    wx.__mcpTraceHooked = true;
+    if (typeof root.Page === 'function') {
+      const originalPage = root.Page;
+      root.Page = function (options) {
+        if (options && typeof options === 'object') tracePageOptions(options);
+        return originalPage.apply(this, arguments);
+      };
+    }
+    if (typeof root.Component === 'function') {
+      const originalComponent = root.Component;
+      root.Component = function (options) {
+        if (options && typeof options === 'object') traceComponentOptions(options);
+        return originalComponent.apply(this, arguments);
+      };
+    }
+    if (typeof wx.onAppRoute === 'function') {
+      wx.onAppRoute(res => {
+        report({ kind: 'route', target: res.path, openType: res.openType });
+        const pages = getCurrentPages();
+        if (pages.length > 0) tracePageInstance(pages[pages.length - 1]);
+      });
+    }
+    if (typeof wx.onAppShow === 'function') wx.onAppShow(() => report({ kind: 'lifecycle', target: 'App', hook: 'onShow' }));
+    if (typeof wx.onAppHide === 'function') wx.onAppHide(() => report({ kind: 'lifecycle', target: 'App', hook: 'onHide' }));
+  }
+  const pages = typeof getCurrentPages === 'function' ? getCurrentPages() : [];
+  pages.forEach(tracePageInstance);
+  return { hooked, pages: pages.map(nameOf) };
+}
+
+// setData reports twice (call, then render callback) and is merged by id
+function addTraceEvent(session, record) {
+  const trace = session.trace;
+  if (!trace || !trace.active) return;
+  const existing = record.id && trace.events.find(event => event.id === record.id);
+  if (existing) {
+    Object.assign(existing, record, { start: existing.start });
+    return;
+  }
+  if (trace.events.length >= MAX_TRACE_EVENTS) {
+    trace.events.shift();
+  }
+  trace.events.push(record);
+}
+
+async function installTraceHooks(session) {
+  const enabled = !!(session.trace && session.trace.active);
+  return withTimeout(session.miniProgram.evaluate(traceHookScript, TRACE_BINDING, enabled), AUTOMATOR_TIMEOUT, 'Installing trace hooks timed out');
+}
+
+async function setupAppBindings(session) {
+  const mp = session.miniProgram;
+  try {
+    await mp.exposeFunction(NETWORK_BINDING, record => addNetworkRecord(session, record));
+    await mp.exposeFunction(MOCK_CALL_BINDING, call => addMockCall(session, call));
+    await mp.exposeFunction(TRACE_BINDING, record => addTraceEvent(session, record));
+    await installNetworkHooks(session);
+    if (session.trace && session.trace.active) await installTraceHooks(session);
+  } catch (e) {
+    console.error(`Network inspector not installed yet: ${e.message}`);
+  }
 }
 
-function addLog(entry) {
-  if (consoleLogs.length >= MAX_LOG_ENTRIES) {
-    consoleLogs.shift();
+// Runs in the AppService. 'start' observes wx.getPerformance entries, samples memory and
+// times every page setData (call to render callback); 'collect' stops and returns it all.
+// State lives in wx.__mcpProfile and is pulled, so no binding is needed.
+function profileHookScript(action, sampleInterval, maxRecords) {
+  const perf = typeof wx.getPerformance === 'function' ? wx.getPerformance() : null;
+  const copy = value => { try { return JSON.parse(JSON.stringify(value)); } catch (e) { return null; } };
+  const sampleMemory = state => {
+    const source = perf && (perf.memory || perf);
+    if (!source || typeof source.usedJSHeapSize !== 'number') return;
+    if (state.memory.length >= maxRecords) state.memory.shift();
+    state.memory.push({ t: Date.now(), used: source.usedJSHeapSize, total: source.totalJSHeapSize, limit: source.jsHeapSizeLimit });
+  };
+  const stop = state => {
+    state.active = false;
+    clearInterval(state.timer);
+    if (state.observer) {
+      try { state.observer.disconnect(); } catch (e) {}
+    }
+  };
+  const nameOf = instance => (instance && (instance.route || instance.is)) || 'unknown';
+  const wrapSetData = page => {
+    if (!page || typeof page.setData !== 'function' || page.__mcpProfiled) return;
+    page.__mcpProfiled = true;
+    const original = page.setData;
+    const profiled = function (data, callback) {
+      const state = wx.__mcpProfile;
+      if (!state || !state.active) return original.apply(this, arguments);
+      const record = { page: nameOf(this), keys: Object.keys(data || {}), size: -1, start: Date.now() };
+      try { record.size = JSON.stringify(data).length; } catch (e) {}
+      if (state.setData.length < maxRecords) state.setData.push(record);
+      return original.call(this, data, function () {
+        record.time = Date.now() - record.start;
+        if (typeof callback === 'function') return callback.apply(this, arguments);
+      });
+    };
+    // Keep start_trace from wrapping the same instance twice
+    profiled.__mcpTraced = !!original.__mcpTraced;
+    page.setData = profiled;
+  };
+  const wrapOpenPages = () => (typeof getCurrentPages === 'function' ? getCurrentPages() : []).map(page => {
+    wrapSetData(page);
+    return nameOf(page);
+  });
+
+  if (action === 'collect') {
+    const state = wx.__mcpProfile;
+    if (!state) return null;
+    sampleMemory(state);
+    stop(state);
+    wx.__mcpProfile = null;
+    let entries = state.entries;
+    if (!state.observer && perf && typeof perf.getEntries === 'function') {
+      entries = (copy(perf.getEntries()) || []).filter(entry => entry && entry.startTime >= state.startedAt);
+    }
+    return {
+      startedAt: state.startedAt,
+      endedAt: Date.now(),
+      observer: !!state.observer,
+      entries,
+      setData: state.setData,
+      memory: state.memory,
+      memoryWarnings: state.memoryWarnings,
+      routes: state.routes,
+    };
+  }
+
+  if (wx.__mcpProfile) stop(wx.__mcpProfile);
+  const state = wx.__mcpProfile = { active: true, startedAt: Date.now(), entries: [], setData: [], memory: [], memoryWarnings: [], routes: [] };
+  if (perf && typeof perf.createObserver === 'function') {
+    try {
+      state.observer = perf.createObserver(list => {
+        (copy(list.getEntries()) || []).forEach(entry => {
+          if (state.entries.length < maxRecords) state.entries.push(entry);
+        });
+      });
+      state.observer.observe({ entryTypes: ['navigation', 'render', 'script', 'loadPackage'] });
+    } catch (e) {
+      state.observer = null;
+    }
+  }
+  sampleMemory(state);
+  state.timer = setInterval(() => sampleMemory(state), sampleInterval);
+  if (!wx.__mcpProfileHooked) {
+    wx.__mcpProfileHooked = true;
+    if (typeof wx.onMemoryWarning === 'function') {
+      wx.onMemoryWarning(res => {
+        const current = wx.__mcpProfile;
+        if (current && current.active) current.memoryWarnings.push({ t: Date.now(), level: res && res.level });
+      });
+    }
+    if (typeof wx.onAppRoute === 'function') {
+      wx.onAppRoute(res => {
+        const current = wx.__mcpProfile;
+        if (!current || !current.active) return;
+        current.routes.push({ t: Date.now(), path: res.path, openType: res.openType });
+        wrapOpenPages();
+      });
+    }
   }
-  consoleLogs.push(entry);
+  return {
+    observer: !!state.observer,
+    getEntries: !!(perf && typeof perf.getEntries === 'function'),
+    memory: state.memory.length > 0,
+    pages: wrapOpenPages(),
+  };
 }
 
-function setupListeners(mp) {
-  consoleLogs.length = 0;
+function setupListeners(session, { reset = true } = {}) {
+  if (reset) {
+    session.consoleLogs.length = 0;
+    session.networkRequests.length = 0;
+    session.mockCalls.length = 0;
+  }
+  const bindings = setupAppBindings(session);
+  watchConnection(session);
 
+  const mp = session.miniProgram;
   mp.on('console', msg => {
-    addLog({
+    addLog(session, {
       type: 'console',
       level: msg.level,
       text: msg.text,
@@ -108,7 +900,7 @@ function setupListeners(mp) {
   });
 
   mp.on('exception', err => {
-    addLog({
+    addLog(session, {
       type: 'exception',
       level: 'error',
       text: err.message || JSON.stringify(err),
@@ -116,10 +908,114 @@ function setupListeners(mp) {
       timestamp: Date.now()
     });
   });
+  return bindings;
+}
+
+// MiniProgram doesn't surface a dropped socket, so listen on its transport. `connection` and
+// `transport` are private in miniprogram-automator 0.12.1, which package.json pins exactly for
+// this; recheck them before bumping that pin. Without them a drop is still caught by checkConnectionLoss: once the socket closes, every
+// pending and later call fails with "Connection closed".
+function watchConnection(session) {
+  const mp = session.miniProgram;
+  const transport = mp.connection && mp.connection.transport;
+  if (!transport || typeof transport.once !== 'function') {
+    console.error('Cannot watch the DevTools WebSocket (miniprogram-automator internals changed); connection loss is detected when a call fails.');
+    return;
+  }
+  transport.once('close', () => {
+    if (session.miniProgram === mp) markStale(session, 'WebSocket closed');
+  });
+}
+
+function markStale(session, reason) {
+  if (session.stale) return;
+  const mp = session.miniProgram;
+  session.miniProgram = null;
+  session.stale = true;
+  try { mp.disconnect(); } catch {}
+  session.recovery = {
+    state: 'reconnecting',
+    reason,
+    disconnectedAt: new Date().toISOString(),
+    attempts: 0,
+    reconnects: session.recovery ? session.recovery.reconnects : 0,
+  };
+  console.error(`Session "${session.id}" lost its connection (${reason}), reconnecting to ${session.wsEndpoint}`);
+  session.reconnecting = reconnectSession(session);
+}
+
+// Reconnects to the same endpoint with exponential backoff; gives up when the session is disconnected meanwhile
+async function reconnectSession(session) {
+  const recovery = session.recovery;
+  for (let attempt = 1; attempt <= RECONNECT_MAX_ATTEMPTS; attempt++) {
+    await sleep(Math.min(RECONNECT_BASE_DELAY * 2 ** (attempt - 1), RECONNECT_MAX_DELAY));
+    if (!session.stale) return false;
+    recovery.attempts = attempt;
+    let mp;
+    try {
+      mp = await withTimeout(
+        automator.connect({ wsEndpoint: session.wsEndpoint }),
+        AUTOMATOR_TIMEOUT,
+        `Connection to ${session.wsEndpoint} timed out`
+      );
+    } catch (e) {
+      recovery.lastError = e.message;
+      continue;
+    }
+    if (!session.stale) {
+      try { mp.disconnect(); } catch {}
+      return false;
+    }
+    session.miniProgram = mp;
+    session.stale = false;
+    delete recovery.lastError;
+    // Logs and captured traffic from before the drop are kept
+    await setupListeners(session, { reset: false });
+    if (session.wxMocks.size > 0) {
+      try {
+        await installWxMocks(session);
+      } catch (e) {
+        recovery.lastError = `Reapplying wx mocks failed: ${e.message}`;
+      }
+    }
+    recovery.state = 'reconnected';
+    recovery.reconnectedAt = new Date().toISOString();
+    recovery.reconnects++;
+    console.error(`Session "${session.id}" reconnected to ${session.wsEndpoint} after ${attempt} attempt(s)`);
+    return true;
+  }
+  session.stale = false;
+  recovery.state = 'failed';
+  console.error(`Session "${session.id}" gave up reconnecting to ${session.wsEndpoint}: ${recovery.lastError}`);
+  return false;
+}
+
+// Called with a failed tool call's error: probes the connection and starts recovery if it's really gone.
+// `anyError` probes whatever the error was (check_health).
+async function checkConnectionLoss(session, error, { anyError = false } = {}) {
+  const mp = session.miniProgram;
+  if (mp && (anyError || CONNECTION_LOST_PATTERN.test(error.message))) {
+    const alive = await withTimeout(mp.systemInfo(), 5000).then(() => true, () => false);
+    if (!alive && session.miniProgram === mp) markStale(session, `Call failed: ${error.message}`);
+  }
+  if (session.stale) {
+    error.message += `\nConnection to DevTools lost; reconnecting to ${session.wsEndpoint} in the background. Retry shortly or run 'check_health'.`;
+  }
 }
 
-async function ensureConnected() {
-  if (!miniProgram) {
+async function ensureConnected(session) {
+  if (session.stale) {
+    // Give an in-flight reconnect a chance before failing the call
+    await withTimeout(session.reconnecting, AUTOMATOR_TIMEOUT).catch(() => {});
+  }
+  if (!session.miniProgram) {
+    const recovery = session.recovery;
+    if (session.stale) {
+      throw new Error(`Connection to DevTools lost; still reconnecting to ${session.wsEndpoint} (attempt ${recovery.attempts}/${RECONNECT_MAX_ATTEMPTS}). Try again shortly or run 'check_health'.`);
+    }
+    if (recovery && recovery.state === 'failed' && sessions.has(session.id)) {
+      throw new Error(`Connection to DevTools lost and reconnecting to ${session.wsEndpoint} failed after ${recovery.attempts} attempts (${recovery.lastError}). Use 'connect' or 'launch' with session "${session.id}" once DevTools is back.`);
+    }
     throw new Error("Not connected to Mini Program. Use 'launch' or 'connect' first.");
   }
 }
@@ -128,19 +1024,27 @@ async function callWithTimeout(fn, timeoutMs) {
   return withTimeout(fn(), timeoutMs || AUTOMATOR_TIMEOUT, `Automator call timed out after ${timeoutMs || AUTOMATOR_TIMEOUT}ms`);
 }
 
-async function getCurrentPage() {
-  if (projectType === PROJECT_TYPE_GAME) {
+async function getCurrentPage(session) {
+  if (session.projectType === PROJECT_TYPE_GAME) {
     throw new Error("This tool requires a mini-program with pages. Current project is a mini-game. Use 'evaluate', 'call_wx_method', 'game_get_info', or 'screenshot' instead.");
   }
-  const page = await callWithTimeout(() => miniProgram.currentPage());
+  const page = await callWithTimeout(() => session.miniProgram.currentPage());
   if (!page) {
     throw new Error("No page is currently open. The project may still be compiling or no project is open.");
   }
   return page;
 }
 
-async function queryElement(selector) {
-  const page = await getCurrentPage();
+// `index` picks the Nth match (0-based) instead of the first, as listed by get_element_tree
+async function queryElement(session, selector, index) {
+  const page = await getCurrentPage(session);
+  if (index !== undefined) {
+    const elements = await callWithTimeout(() => page.$$(selector));
+    if (!elements[index]) {
+      throw new Error(`Element not found: ${selector} [${index}] (${elements.length} matches)`);
+    }
+    return elements[index];
+  }
   const element = await callWithTimeout(() => page.$(selector));
   if (!element) {
     throw new Error(`Element not found: ${selector}`);
@@ -148,13 +1052,13 @@ async function queryElement(selector) {
   return element;
 }
 
-async function detectProjectType(mp) {
+async function detectProjectType(mp, projectPath) {
   if (!mp) return null;
   // First, try to detect from project.config.json (fast, reliable)
-  if (connectedProjectPath) {
+  if (projectPath) {
     const configPaths = [
-      path.join(connectedProjectPath, 'project.config.json'),
-      path.join(connectedProjectPath, 'project.config.jsonc'),
+      path.join(projectPath, 'project.config.json'),
+      path.join(projectPath, 'project.config.jsonc'),
     ];
     for (const configPath of configPaths) {
       try {
@@ -167,10 +1071,10 @@ async function detectProjectType(mp) {
     }
   }
   // Fallback: check for game.json (game projects have game.json instead of app.json)
-  if (connectedProjectPath) {
-    if (fs.existsSync(path.join(connectedProjectPath, 'game.json'))) return PROJECT_TYPE_GAME;
-    if (fs.existsSync(path.join(connectedProjectPath, 'app.json')) ||
-        fs.existsSync(path.join(connectedProjectPath, 'miniprogram', 'app.json'))) return PROJECT_TYPE_PROGRAM;
+  if (projectPath) {
+    if (fs.existsSync(path.join(projectPath, 'game.json'))) return PROJECT_TYPE_GAME;
+    if (fs.existsSync(path.join(projectPath, 'app.json')) ||
+        fs.existsSync(path.join(projectPath, 'miniprogram', 'app.json'))) return PROJECT_TYPE_PROGRAM;
   }
   // Last resort: try evaluate (requires game to be running, short timeout)
   try {
@@ -180,8 +1084,48 @@ async function detectProjectType(mp) {
   return null;
 }
 
-async function ensurePageTool() {
-  if (projectType === PROJECT_TYPE_GAME) {
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Directory holding app.json: project.config.json's miniprogramRoot, else the project root or ./miniprogram
+function getMiniprogramRoot(projectPath) {
+  const config = readJsonFile(path.join(projectPath, 'project.config.json'));
+  if (config && config.miniprogramRoot) return path.join(projectPath, config.miniprogramRoot);
+  if (!fs.existsSync(path.join(projectPath, 'app.json')) && fs.existsSync(path.join(projectPath, 'miniprogram', 'app.json'))) {
+    return path.join(projectPath, 'miniprogram');
+  }
+  return projectPath;
+}
+
+function readAppJson(projectPath) {
+  if (!projectPath) {
+    throw new Error("Project path unknown. Use 'launch', or 'connect' with projectPath.");
+  }
+  const root = getMiniprogramRoot(projectPath);
+  const appJsonPath = path.join(root, 'app.json');
+  if (!fs.existsSync(appJsonPath)) {
+    throw new Error(`app.json not found in ${root}`);
+  }
+  return { root, appJsonPath, appJson: JSON.parse(fs.readFileSync(appJsonPath, 'utf-8')) };
+}
+
+// Main package pages followed by subPackage pages, as routes without a leading slash
+function listPageRoutes(appJson) {
+  const routes = (appJson.pages || []).map(route => ({ route, subPackage: null }));
+  for (const pkg of appJson.subPackages || appJson.subpackages || []) {
+    const pkgRoot = pkg.root.replace(/^\/|\/+$/g, '');
+    for (const page of pkg.pages || []) routes.push({ route: `${pkgRoot}/${page}`, subPackage: pkgRoot });
+  }
+  return routes;
+}
+
+async function ensurePageTool(session) {
+  if (session.projectType === PROJECT_TYPE_GAME) {
     throw new Error("This tool is for mini-programs only. Current project is a mini-game. Use 'evaluate', 'call_wx_method', or 'game_*' tools instead.");
   }
 }
@@ -196,9 +1140,9 @@ const GAME_TOOL_DESCRIPTION = {
 const WAIT_READY_MAX_ATTEMPTS = 20;
 const WAIT_READY_INTERVAL = 3000;
 
-async function waitMiniProgramReady(mp, maxWaitMs) {
+async function waitMiniProgramReady(mp, maxWaitMs, projectPath) {
   // For mini-games: no pages to wait for, consider ready immediately
-  const gameCheck = await detectProjectType(mp);
+  const gameCheck = await detectProjectType(mp, projectPath);
   if (gameCheck === PROJECT_TYPE_GAME) {
     return { game: true, path: null };
   }
@@ -224,54 +1168,405 @@ function stringifyResult(result) {
   }
 }
 
-const inputSchema = z.object({
-  projectPath: z.string().describe("Absolute path to the mini-program project"),
-  cliPath: z.string().optional().describe("Path to the WeChat DevTools CLI executable"),
-  port: z.number().optional().describe("Port for automation (default: " + DEFAULT_PORT + ")"),
-});
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
 
-const connectSchema = z.object({
-  wsEndpoint: z.string().optional().describe("WebSocket endpoint (e.g., ws://localhost:9420)"),
-  projectPath: z.string().optional().describe("Project path (helps detect mini-program vs mini-game)"),
-});
+// Repeatedly runs `check` until it reports done or the timeout elapses. Errors
+// thrown by `check` are recorded as the last observation and polling continues.
+async function pollUntil(check, { timeout, interval }) {
+  const start = Date.now();
+  let attempts = 0;
+  let last = { done: false, value: undefined };
+  while (true) {
+    attempts++;
+    try {
+      last = await check();
+    } catch (e) {
+      last = { done: false, value: undefined, error: e.message };
+    }
+    if (last.done) break;
+    if (Date.now() - start + interval > timeout) break;
+    await sleep(interval);
+  }
+  return { ...last, attempts, elapsed: Date.now() - start };
+}
 
-const navigateToSchema = z.object({
-  url: z.string().describe("The page URL to navigate to (e.g., /pages/index/index)"),
-  method: z.enum(["reLaunch", "navigateTo", "redirectTo", "switchTab"])
-    .optional().default("reLaunch")
-    .describe("Navigation method: reLaunch (clear stack), navigateTo (push), redirectTo (replace), switchTab (tab bar)"),
-});
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => isDeepEqual(a[key], b[key]));
+}
 
-const getPageDataSchema = z.object({
-  path: z.string().optional().describe("Data path to retrieve (optional, returns full data if omitted)"),
-});
+// `contains` means substring for strings, an equal element for arrays and a
+// matching subset of keys for objects.
+function containsValue(actual, expected) {
+  if (typeof actual === 'string') return actual.includes(String(expected));
+  if (Array.isArray(actual)) return actual.some(item => isDeepEqual(item, expected) || containsValue(item, expected));
+  if (actual && typeof actual === 'object' && expected && typeof expected === 'object') {
+    return Object.keys(expected).every(key => key in actual &&
+      (isDeepEqual(actual[key], expected[key]) || containsValue(actual[key], expected[key])));
+  }
+  return false;
+}
 
-const setPageDataSchema = z.object({
-  data: z.record(z.any()).describe("The data object to set on the page"),
-});
+function matchesExpected(actual, expected, mode) {
+  switch (mode) {
+    case "contains": return containsValue(actual, expected);
+    case "matches": return new RegExp(expected).test(typeof actual === 'string' ? actual : stringifyResult(actual));
+    default: return isDeepEqual(actual, expected);
+  }
+}
 
-const getElementSchema = z.object({
-  selector: z.string().describe("CSS selector of the element"),
-  action: z.enum(["text", "wxml", "outerWxml", "attribute", "style", "value", "property"])
-    .optional().default("text")
-    .describe("What to get: text content, wxml, outerWxml, attribute value, computed style, element value, or property"),
-  attributeName: z.string().optional().describe("Attribute name (required if action is 'attribute')"),
-  styleName: z.string().optional().describe("Style name (required if action is 'style')"),
-  propertyName: z.string().optional().describe("Property name (required if action is 'property')"),
-});
+function decodePng(base64) {
+  return PNG.sync.read(Buffer.from(base64, 'base64'));
+}
 
-const tapElementSchema = z.object({
-  selector: z.string().describe("CSS selector of the element to tap"),
-});
+function encodePng(png) {
+  return PNG.sync.write(png).toString('base64');
+}
 
-const inputTextSchema = z.object({
-  selector: z.string().describe("CSS selector of the input element"),
-  value: z.string().describe("Text value to input"),
-});
+function cropPng(src, left, top, width, height) {
+  const x = Math.max(0, Math.min(src.width - 1, Math.round(left)));
+  const y = Math.max(0, Math.min(src.height - 1, Math.round(top)));
+  const w = Math.max(1, Math.min(src.width - x, Math.round(width)));
+  const h = Math.max(1, Math.min(src.height - y, Math.round(height)));
+  const out = new PNG({ width: w, height: h });
+  PNG.bitblt(src, out, x, y, w, h, 0, 0);
+  return out;
+}
 
-const triggerEventSchema = z.object({
-  selector: z.string().describe("CSS selector of the element"),
-  eventName: z.string().describe("Event name to trigger (e.g., 'change', 'blur')"),
+// Box-filter downscale: each target pixel averages the source pixels it covers
+function scalePng(src, factor) {
+  const w = Math.max(1, Math.round(src.width * factor));
+  const h = Math.max(1, Math.round(src.height * factor));
+  const out = new PNG({ width: w, height: h });
+  const xRatio = src.width / w;
+  const yRatio = src.height / h;
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * yRatio);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * yRatio));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * xRatio);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * xRatio));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * src.width + sx) << 2;
+          sum[0] += src.data[i];
+          sum[1] += src.data[i + 1];
+          sum[2] += src.data[i + 2];
+          sum[3] += src.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * w + x) << 2;
+      for (let c = 0; c < 4; c++) out.data[o + c] = Math.round(sum[c] / count);
+    }
+  }
+  return out;
+}
+
+async function getElementBounds(session, selector) {
+  return measureElement(await queryElement(session, selector));
+}
+
+async function measureElement(element) {
+  const size = await callWithTimeout(() => element.size());
+  const offset = await callWithTimeout(() => element.offset());
+  return {
+    left: Number(offset.left) || 0,
+    top: Number(offset.top) || 0,
+    width: Number(size.width) || 0,
+    height: Number(size.height) || 0,
+  };
+}
+
+// Top of the window (webview) on the screen in CSS px: status bar plus navigation bar.
+// The space the window leaves free can also hold a tabBar at the bottom, so it only caps
+// the result (a custom navigation bar without a tabBar leaves none).
+function getWindowTop(info, menuButton) {
+  if (!info || !info.windowHeight || !info.screenHeight) return 0;
+  const bars = Math.max(0, info.screenHeight - info.windowHeight);
+  const statusBar = Number(info.statusBarHeight) || 0;
+  // The capsule button is vertically centred in the navigation bar
+  const navigationBar = menuButton && menuButton.height
+    ? (menuButton.top - statusBar) * 2 + menuButton.height
+    : (String(info.platform).toLowerCase() === 'android' ? 48 : 44);
+  return Math.min(bars, statusBar + navigationBar);
+}
+
+// Maps an element's page CSS-pixel bounds onto a full screenshot of the simulator:
+// offsets are shifted by the current scroll position, moved below the status and
+// navigation bars, and multiplied by the pixel ratio.
+async function getElementRegion(session, selector, imageWidth, imageHeight) {
+  const bounds = await getElementBounds(session, selector);
+  const page = await getCurrentPage(session);
+  const scrollTop = Number(await callWithTimeout(() => page.scrollTop())) || 0;
+  const info = await callWithTimeout(() => session.miniProgram.systemInfo(), 15000);
+  let menuButton = null;
+  try {
+    menuButton = await callWithTimeout(() => session.miniProgram.callWxMethod('getMenuButtonBoundingClientRect'));
+  } catch {}
+  const ratio = info && info.windowWidth ? imageWidth / info.windowWidth : 1;
+  const topInset = Math.min(getWindowTop(info, menuButton) * ratio, imageHeight);
+  return {
+    left: bounds.left * ratio,
+    top: (bounds.top - scrollTop) * ratio + topInset,
+    width: bounds.width * ratio,
+    height: bounds.height * ratio,
+  };
+}
+
+// Captures the simulator and optionally crops to an element and/or downscales.
+// `maskSelectors` are resolved against the full capture and returned in the
+// coordinates of the final image.
+async function captureScreenshot(session, { selector, maxWidth, maskSelectors } = {}) {
+  const base64 = await callWithTimeout(() => session.miniProgram.screenshot(), SCREENSHOT_TIMEOUT);
+  if (!base64) {
+    throw new Error("Screenshot returned no image data.");
+  }
+  let png = decodePng(base64);
+  const fullWidth = png.width;
+  const fullHeight = png.height;
+  let region = null;
+  let processed = false;
+  let scale = 1;
+
+  const masks = [];
+  for (const maskSelector of maskSelectors || []) {
+    masks.push(await getElementRegion(session, maskSelector, fullWidth, fullHeight));
+  }
+
+  if (selector) {
+    region = await getElementRegion(session, selector, fullWidth, fullHeight);
+    if (region.top >= fullHeight || region.top + region.height <= 0) {
+      throw new Error(`Element ${selector} is outside the visible viewport. Scroll it into view first.`);
+    }
+    png = cropPng(png, region.left, region.top, region.width, region.height);
+    processed = true;
+  }
+
+  if (maxWidth && png.width > maxWidth) {
+    scale = maxWidth / png.width;
+    png = scalePng(png, scale);
+    processed = true;
+  }
+
+  const originLeft = region ? Math.max(0, Math.round(region.left)) : 0;
+  const originTop = region ? Math.max(0, Math.round(region.top)) : 0;
+  return {
+    png,
+    data: processed ? encodePng(png) : base64,
+    width: png.width,
+    height: png.height,
+    region,
+    masks: masks.map(m => ({
+      left: (m.left - originLeft) * scale,
+      top: (m.top - originTop) * scale,
+      width: m.width * scale,
+      height: m.height * scale,
+    })),
+  };
+}
+
+// Directory for files the server keeps inside the connected project (baselines, scenarios, ...)
+function getProjectArtifactDir(projectPath, subdir, label, name) {
+  if (!projectPath) {
+    throw new Error(`Project path required for ${label}. Use 'launch' or 'connect' with projectPath first.`);
+  }
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid name "${name}". Use letters, digits, '.', '_' or '-'.`);
+  }
+  return path.join(projectPath, subdir);
+}
+
+function getBaselinePaths(session, name) {
+  const dir = getProjectArtifactDir(session.projectPath, VISUAL_BASELINE_DIR, 'visual baselines', name);
+  return {
+    dir,
+    image: path.join(dir, `${name}.png`),
+    meta: path.join(dir, `${name}.json`),
+    diff: path.join(dir, '__diff__', `${name}.png`),
+    actual: path.join(dir, '__diff__', `${name}.actual.png`),
+  };
+}
+
+function inRects(x, y, rects) {
+  return rects.some(r => x >= r.left && x < r.left + r.width && y >= r.top && y < r.top + r.height);
+}
+
+// Pixel-by-pixel comparison. A pixel mismatches when any RGBA channel differs by
+// more than `threshold` (0-1 of the channel range). The diff image is a faded
+// copy of the baseline with mismatches in red and masked areas in blue.
+function diffPng(expected, actual, { threshold, masks }) {
+  const { width, height } = expected;
+  const diff = new PNG({ width, height });
+  const maxDelta = Math.round((threshold || 0) * 255);
+  let mismatched = 0;
+  let masked = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) << 2;
+      if (inRects(x, y, masks)) {
+        masked++;
+        diff.data[i] = 0; diff.data[i + 1] = 0; diff.data[i + 2] = 255; diff.data[i + 3] = 64;
+        continue;
+      }
+      let delta = 0;
+      for (let c = 0; c < 4; c++) {
+        delta = Math.max(delta, Math.abs(expected.data[i + c] - actual.data[i + c]));
+      }
+      if (delta > maxDelta) {
+        mismatched++;
+        diff.data[i] = 255; diff.data[i + 1] = 0; diff.data[i + 2] = 0; diff.data[i + 3] = 255;
+      } else {
+        const gray = Math.round((expected.data[i] + expected.data[i + 1] + expected.data[i + 2]) / 3);
+        const faded = 255 - Math.round((255 - gray) * 0.2);
+        diff.data[i] = faded; diff.data[i + 1] = faded; diff.data[i + 2] = faded; diff.data[i + 3] = 255;
+      }
+    }
+  }
+  const compared = width * height - masked;
+  return {
+    diff,
+    mismatchedPixels: mismatched,
+    comparedPixels: compared,
+    mismatchPercent: compared > 0 ? Math.round((mismatched / compared) * 10000) / 100 : 0,
+  };
+}
+
+const inputSchema = z.object({
+  projectPath: z.string().describe("Absolute path to the mini-program project"),
+  cliPath: z.string().optional().describe("Path to the WeChat DevTools CLI executable"),
+  port: z.number().optional().describe("Port for automation (default: " + DEFAULT_PORT + ")"),
+});
+
+const connectSchema = z.object({
+  wsEndpoint: z.string().optional().describe("WebSocket endpoint (e.g., ws://localhost:9420)"),
+  projectPath: z.string().optional().describe("Project path (helps detect mini-program vs mini-game)"),
+});
+
+const navigateToSchema = z.object({
+  url: z.string().describe("The page URL to navigate to (e.g., /pages/index/index)"),
+  method: z.enum(["reLaunch", "navigateTo", "redirectTo", "switchTab"])
+    .optional().default("reLaunch")
+    .describe("Navigation method: reLaunch (clear stack), navigateTo (push), redirectTo (replace), switchTab (tab bar)"),
+});
+
+const getPageDataSchema = z.object({
+  path: z.string().optional().describe("Data path to retrieve (optional, returns full data if omitted)"),
+});
+
+const setPageDataSchema = z.object({
+  data: z.record(z.any()).describe("The data object to set on the page"),
+});
+
+const getElementSchema = z.object({
+  selector: z.string().describe("CSS selector of the element"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
+  action: z.enum(["text", "wxml", "outerWxml", "attribute", "style", "value", "property"])
+    .optional().default("text")
+    .describe("What to get: text content, wxml, outerWxml, attribute value, computed style, element value, or property"),
+  attributeName: z.string().optional().describe("Attribute name (required if action is 'attribute')"),
+  styleName: z.string().optional().describe("Style name (required if action is 'style')"),
+  propertyName: z.string().optional().describe("Property name (required if action is 'property')"),
+}).superRefine((value, ctx) => {
+  const required = { attribute: "attributeName", style: "styleName", property: "propertyName" }[value.action];
+  if (required && !value[required]) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [required],
+      message: `Required when action is '${value.action}'`,
+    });
+  }
+});
+
+const getElementTreeSchema = z.object({
+  selector: z.string().optional().describe("Root of the tree (defaults to the whole page)"),
+  all: z.boolean().optional().default(false).describe("Return every match of the selector with its index, instead of the first"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) as the root"),
+  within: z.array(z.string()).optional()
+    .describe("Selectors of nested custom components to look inside, outermost first; 'selector' is then queried inside the last one"),
+  depth: z.number().int().min(0).optional().default(8).describe("Maximum depth of children to include"),
+  layout: z.boolean().optional().default(true).describe("Include size and offset of each node (costs two automator calls per node)"),
+  maxNodes: z.number().int().min(1).optional().default(200).describe("Stop adding nodes after this many"),
+});
+
+const auditAccessibilitySchema = z.object({
+  selector: z.string().optional().describe("Only audit this subtree (defaults to the whole page); reported indexes still count over the whole page"),
+  minTouchSize: z.number().optional().default(44).describe("Minimum width and height in px for tappable elements"),
+  minContrast: z.number().optional().default(4.5).describe("Minimum text contrast ratio (large text needs 3)"),
+  rules: z.array(z.enum(["tappable-label", "tappable-role", "image-alt", "touch-target", "contrast", "input-label"])).optional()
+    .describe("Only run these checks (defaults to all)"),
+  maxElements: z.number().int().min(1).optional().default(300).describe("Stop checking after this many elements"),
+});
+
+const swipeSchema = z.object({
+  selector: z.string().describe("CSS selector of the element to swipe on (swiper, swipe-to-delete cell, scroll area...)"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
+  direction: z.enum(["left", "right", "up", "down"]).describe("Direction the finger moves"),
+  distance: z.number().optional().describe("Distance in px (defaults to 60% of the element's width or height)"),
+  steps: z.number().int().min(1).optional().default(10).describe("Number of touchmove events"),
+  duration: z.number().optional().default(300).describe("Total gesture time in ms"),
+});
+
+const dragSchema = z.object({
+  selector: z.string().describe("CSS selector of the element to drag (movable-view, sortable item, canvas...)"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first"),
+  toSelector: z.string().optional().describe("Drop onto the center of this element"),
+  toIndex: z.number().int().min(0).optional().describe("Nth match of toSelector"),
+  dx: z.number().optional().describe("Horizontal distance in px (instead of toSelector)"),
+  dy: z.number().optional().describe("Vertical distance in px (instead of toSelector)"),
+  holdMs: z.number().optional().default(0).describe("Keep the finger down this long before moving (for long-press-to-drag)"),
+  steps: z.number().int().min(1).optional().default(15).describe("Number of touchmove events"),
+  duration: z.number().optional().default(500).describe("Time in ms for the move"),
+}).superRefine((value, ctx) => {
+  const hasDelta = value.dx !== undefined || value.dy !== undefined;
+  if (!value.toSelector === !hasDelta) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["toSelector"], message: "Provide either 'toSelector' or 'dx'/'dy'" });
+  }
+});
+
+const touchSequenceSchema = z.object({
+  selector: z.string().describe("CSS selector of the element that receives the touch events"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first"),
+  steps: z.array(z.object({
+    type: z.enum(["start", "move", "end"]).describe("touchstart / touchmove / touchend"),
+    touches: z.array(z.object({
+      id: z.number().int().optional().default(0).describe("Touch identifier; use different ids for multiple fingers"),
+      x: z.number().describe("X coordinate"),
+      y: z.number().describe("Y coordinate"),
+    })).min(1).describe("Fingers that start, move or lift in this step"),
+    wait: z.number().optional().describe("Delay in ms after this step"),
+  })).min(1).describe("Touch steps in order, e.g. two fingers moving apart for a pinch"),
+  relative: z.boolean().optional().default(true).describe("Coordinates are relative to the element's top-left corner (false: page coordinates)"),
+});
+
+const tapElementSchema = z.object({
+  selector: z.string().describe("CSS selector of the element to tap"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
+});
+
+const inputTextSchema = z.object({
+  selector: z.string().describe("CSS selector of the input element"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
+  value: z.string().describe("Text value to input"),
+});
+
+const fillFormSchema = z.object({
+  fields: z.record(z.any()).describe("Map of selector -> value, filled in order; use { value, index } to pick the Nth match of a selector. input/textarea: string; picker: index (selector mode, or an option label), index array (multiSelector), 'YYYY-MM-DD' (date), 'HH:mm' (time), string array (region); slider: number; switch: boolean; checkbox-group: array of checkbox values; radio-group: radio value; picker-view: index array"),
+  submit: z.union([z.boolean(), z.string()]).optional().default(false).describe("Submit the form afterwards: true for the first <form>, or a form selector"),
+});
+
+const triggerEventSchema = z.object({
+  selector: z.string().describe("CSS selector of the element"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
+  eventName: z.string().describe("Event name to trigger (e.g., 'change', 'blur')"),
   detail: z.record(z.any()).optional().describe("Event detail object"),
 });
 
@@ -291,9 +1586,70 @@ const callCloudFunctionSchema = z.object({
   config: z.record(z.any()).optional().describe("Cloud config (e.g. env)"),
 });
 
+const cloudDbQuerySchema = z.object({
+  collection: z.string().describe("Collection name"),
+  docId: z.string().optional().describe("Fetch a single document by _id instead of querying"),
+  where: z.record(z.any()).optional().describe("Query conditions; use $-operators for db.command, e.g. { age: { $gt: 18 }, tags: { $in: ['a'] }, name: { $regex: '^A' } } or { $or: [...] }"),
+  orderBy: z.array(z.object({
+    field: z.string(),
+    order: z.enum(["asc", "desc"]).optional().default("asc"),
+  })).optional().describe("Sort order"),
+  skip: z.number().int().min(0).optional().describe("Skip this many records"),
+  limit: z.number().int().min(1).max(20).optional().default(20).describe("Maximum records (the client SDK caps at 20)"),
+  field: z.record(z.boolean()).optional().describe("Projection, e.g. { name: true, _id: false }"),
+  count: z.boolean().optional().default(false).describe("Return the number of matching records instead of the records"),
+  env: z.string().optional().describe("Cloud environment ID (defaults to the one from wx.cloud.init)"),
+});
+
+const cloudDbUpdateSchema = z.object({
+  collection: z.string().describe("Collection name"),
+  action: z.enum(["update", "set", "add", "remove"]).optional().default("update").describe("update: patch matching records; set: replace a document; add: insert; remove: delete"),
+  docId: z.string().optional().describe("Target document _id"),
+  where: z.record(z.any()).optional().describe("Conditions for update/remove on several records (same $-operators as cloud_db_query)"),
+  data: z.record(z.any()).optional().describe("Document or changes; $-operators map to db.command, e.g. { count: { $inc: 1 }, old: { $remove: true }, updatedAt: { $serverDate: true } }"),
+  env: z.string().optional().describe("Cloud environment ID (defaults to the one from wx.cloud.init)"),
+}).superRefine((value, ctx) => {
+  if (value.action !== "add" && !value.docId && !value.where) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["docId"], message: `'${value.action}' needs 'docId' or 'where'` });
+  }
+  if (value.action === "set" && !value.docId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["docId"], message: "'set' needs 'docId'" });
+  }
+  if (value.action !== "remove" && !value.data) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["data"], message: `'${value.action}' needs 'data'` });
+  }
+});
+
+const cloudStorageUploadSchema = z.object({
+  filePath: z.string().describe("Local file to upload (relative to the project)"),
+  cloudPath: z.string().describe("Destination path in cloud storage, e.g. images/logo.png"),
+  env: z.string().optional().describe("Cloud environment ID"),
+});
+
+const cloudStorageDownloadSchema = z.object({
+  fileID: z.string().describe("cloud:// file ID"),
+  savePath: z.string().optional().describe("Where to save the file (relative to the project; default: a temp file)"),
+  env: z.string().optional().describe("Cloud environment ID"),
+});
+
+const cloudFunctionInvokeLocalSchema = z.object({
+  name: z.string().describe("Cloud function name (directory under cloudfunctionRoot)"),
+  event: z.record(z.any()).optional().default({}).describe("Event passed to exports.main"),
+  context: z.record(z.any()).optional().describe("Overrides for getWXContext() (OPENID, APPID, UNIONID, ENV, SOURCE)"),
+  mocks: z.record(z.any()).optional().describe("Results for stubbed wx-server-sdk calls by call path or method name, e.g. { 'database.collection.where.get': { data: [...] }, callFunction: { result: 1 } }"),
+  timeout: z.number().optional().default(LOCAL_INVOKE_TIMEOUT).describe("Timeout in ms"),
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+});
+
+const cliJobFields = {
+  timeout: z.number().int().min(0).optional().describe(`CLI timeout in ms (default ${CLI_TIMEOUT}, 0 for no limit)`),
+  background: z.boolean().optional().default(false).describe("Return a job id right away instead of waiting; follow it with 'get_job_status'"),
+};
+
 const buildNpmSchema = z.object({
   projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
   cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
 });
 
 const cloudFunctionsDeploySchema = z.object({
@@ -302,12 +1658,75 @@ const cloudFunctionsDeploySchema = z.object({
   remoteNpmInstall: z.boolean().optional().default(false).describe("Install npm dependencies in the cloud"),
   projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
   cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
+});
+
+const cloudFunctionsDeployIncrementalSchema = z.object({
+  env: z.string().describe("Cloud environment ID"),
+  name: z.string().describe("Cloud function name"),
+  file: z.string().describe("File to deploy, relative to the function directory (e.g. index.js or lib/util.js)"),
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
 });
 
 const cloudFunctionsListSchema = z.object({
   env: z.string().describe("Cloud environment ID"),
   projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
   cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
+});
+
+const compileConditionSchema = z.object({
+  pathName: z.string().describe("Page to open, e.g. pages/detail/detail"),
+  query: z.string().optional().describe("Query string, e.g. id=1&from=share"),
+}).optional().describe("Compile condition: start page and query for the build");
+
+const previewSchema = z.object({
+  qrOutput: z.string().optional().describe("Also save the QR code PNG to this path (relative to the project)"),
+  compileCondition: compileConditionSchema,
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
+});
+
+const uploadSchema = z.object({
+  version: z.string().describe("Version number, e.g. 1.2.0"),
+  desc: z.string().optional().describe("Version description shown in the admin console"),
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
+});
+
+const autoPreviewSchema = z.object({
+  compileCondition: compileConditionSchema,
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+  ...cliJobFields,
+});
+
+const closeProjectSchema = z.object({
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+});
+
+const getJobStatusSchema = z.object({
+  jobId: z.string().optional().describe("Job to inspect (omit to list all jobs)"),
+  since: z.number().int().min(0).optional().default(0).describe("Return output lines from this line number on (use nextLine from the previous call)"),
+});
+
+const cancelJobSchema = z.object({
+  jobId: z.string().describe("Job to cancel"),
+});
+
+const quitDevtoolsSchema = z.object({
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
+});
+
+const clearCacheSchema = z.object({
+  type: z.enum(["storage", "file", "compile", "auth", "network", "session", "all"]).optional().default("compile").describe("Cache to clear"),
+  projectPath: z.string().optional().describe("Project path (defaults to currently connected project)"),
+  cliPath: z.string().optional().describe("Path to DevTools CLI"),
 });
 
 const getConsoleLogsSchema = z.object({
@@ -316,25 +1735,102 @@ const getConsoleLogsSchema = z.object({
   limit: z.number().optional().default(50).describe("Maximum number of logs to return"),
 });
 
+const getNetworkRequestsSchema = z.object({
+  url: z.string().optional().describe("Filter by URL substring, or a regular expression wrapped in slashes (e.g. /api\\/user/)"),
+  method: z.string().optional().describe("Filter by HTTP method (GET, POST, ...; WS for sockets)"),
+  status: z.number().optional().describe("Filter by HTTP status code"),
+  api: z.enum(["request", "uploadFile", "downloadFile", "connectSocket"]).optional().describe("Filter by wx API"),
+  failedOnly: z.boolean().optional().default(false).describe("Only return failed requests or responses with status >= 400"),
+  includeBodies: z.boolean().optional().default(true).describe("Include request/response headers and bodies"),
+  limit: z.number().optional().default(50).describe("Maximum number of requests to return (most recent)"),
+});
+
+const mockNetworkRouteSchema = z.object({
+  url: z.string().optional().describe("URL pattern: substring, glob with * wildcards (e.g. https://api.example.com/users/*), or /regex/"),
+  method: z.string().optional().describe("HTTP method to match (default: any)"),
+  api: z.enum(["request", "uploadFile", "downloadFile"]).optional().describe("Only match this wx API (default: all three)"),
+  status: z.number().optional().describe("Response status code (default: 200)"),
+  headers: z.record(z.string()).optional().describe("Response headers"),
+  body: z.any().optional().describe("Response body (res.data); for downloadFile, the tempFilePath to return"),
+  bodyFile: z.string().optional().describe("Load the body from a file (relative to the project; .json files are parsed)"),
+  delay: z.number().optional().describe("Delay before responding, in ms"),
+  fail: z.string().optional().describe("Fail the request with this errMsg instead of responding (e.g. 'timeout')"),
+  fixturesDir: z.string().optional().describe("Register every *.json file in this directory (relative to the project) as a route definition (an object or array with the fields above)"),
+}).superRefine((value, ctx) => {
+  if (!value.url === !value.fixturesDir) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["url"], message: "Provide exactly one of 'url' or 'fixturesDir'" });
+  }
+  if (value.url) {
+    try {
+      urlPatternToRegex(value.url);
+    } catch (e) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["url"], message: e.message });
+    }
+  }
+});
+
+const clearNetworkMocksSchema = z.object({
+  url: z.string().optional().describe("Only remove routes registered with this exact URL pattern (default: all)"),
+});
+
+const startTraceSchema = z.object({
+  clear: z.boolean().optional().default(true).describe("Discard events from an earlier trace"),
+});
+
+const getTraceSchema = z.object({
+  kind: z.array(z.enum(["lifecycle", "setData", "event", "route"])).optional().describe("Only these event kinds (default: all)"),
+  target: z.string().optional().describe("Only events whose page route or component path contains this text"),
+  since: z.number().optional().describe("Only events at least this many ms after the trace started"),
+  limit: z.number().optional().default(200).describe("Maximum number of events to return (most recent)"),
+});
+
+const profileSchema = z.object({
+  duration: z.number().int().min(100).max(60000).optional().default(5000).describe("How long to collect, in ms"),
+  url: z.string().optional().describe("Page to reLaunch into once collection has started, so its load is measured (mini-programs only)"),
+  reload: z.boolean().optional().default(false).describe("reLaunch the current page once collection has started (mini-programs only)"),
+  sampleInterval: z.number().int().min(100).optional().default(500).describe("Memory sampling interval in ms"),
+  thresholds: z.object({
+    firstRender: z.number().optional().default(PROFILE_THRESHOLDS.firstRender).describe("Maximum firstRender duration per page (ms)"),
+    ready: z.number().optional().default(PROFILE_THRESHOLDS.ready).describe("Maximum route/appLaunch duration per page, i.e. until the page is ready (ms)"),
+    setDataTime: z.number().optional().default(PROFILE_THRESHOLDS.setDataTime).describe("Maximum time from setData to its render callback (ms)"),
+    setDataBytes: z.number().optional().default(PROFILE_THRESHOLDS.setDataBytes).describe("Maximum setData payload (bytes of JSON)"),
+  }).optional().default({}).describe("Limits the report checks against"),
+});
+
 const navigateBackSchema = z.object({
-  delta: z.number().optional().default(1).describe("Number of pages to go back"),
+  delta: z.number().int().positive().optional().default(1).describe("Number of pages to go back"),
 });
 
 const pageScrollToSchema = z.object({
   scrollTop: z.number().describe("Scroll target position in pixels"),
-  duration: z.number().optional().describe("Scroll animation duration in ms"),
+  scrollLeft: z.number().optional().describe("Horizontal scroll position (scroll-view only)"),
+  duration: z.number().optional().describe("Scroll animation duration in ms (page only)"),
+  selector: z.string().optional().describe("Scroll this <scroll-view> instead of the page"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match of selector (0-based)"),
+});
+
+const scrollIntoViewSchema = z.object({
+  selector: z.string().describe("CSS selector of the element to bring into view"),
+  container: z.string().optional().describe("CSS selector of the <scroll-view> to scroll (default: the page)"),
+  step: z.number().optional().describe("Pixels per scroll while the element does not exist yet (default: 80% of the viewport / container height)"),
+  maxScrolls: z.number().int().min(1).optional().default(20).describe("Maximum number of scroll steps"),
+  interval: z.number().optional().default(500).describe("Wait in ms after each scroll for rendering and lazy loading"),
+  loadMore: z.boolean().optional().default(true).describe("At the bottom, call onReachBottom (page) or trigger scrolltolower (container) to load more items"),
 });
 
 const getElementSizeSchema = z.object({
   selector: z.string().describe("CSS selector of the element"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
 });
 
 const getElementOffsetSchema = z.object({
   selector: z.string().describe("CSS selector of the element"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
 });
 
 const longpressElementSchema = z.object({
   selector: z.string().describe("CSS selector of the element to long-press"),
+  index: z.number().int().min(0).optional().describe("Use the Nth match (0-based) instead of the first, see 'get_element_tree'"),
 });
 
 const getPageStackSchema = z.object({});
@@ -344,23 +1840,87 @@ const callWxMethodSchema = z.object({
   args: z.array(z.any()).optional().default([]).describe("Arguments to pass to the method"),
 });
 
-const mockWxMethodSchema = z.object({
+const mockResponseSchema = z.object({
+  result: z.any().optional().describe("Result passed to success (or returned, for *Sync methods)"),
+  fail: z.string().optional().describe("Call fail with this errMsg instead (thrown for *Sync methods)"),
+});
+
+const mockWxMethodSchema = mockResponseSchema.extend({
   method: z.string().describe("wx API method name to mock"),
-  result: z.any().describe("Mock result object to return"),
+  sequence: z.array(mockResponseSchema).optional()
+    .describe("Responses for successive calls; the last one repeats once the sequence is used up"),
+  cases: z.array(mockResponseSchema.extend({
+    match: z.any().describe("Partial value the call's first argument must match (object subset or exact primitive)"),
+  })).optional().describe("Argument-based responses, checked before the sequence and static result"),
+  delay: z.number().optional().describe("Delay before async callbacks run, in ms"),
 });
 
 const restoreWxMethodSchema = z.object({
   method: z.string().describe("wx API method name to restore"),
 });
 
+const getMockCallsSchema = z.object({
+  method: z.string().optional().describe("Only return calls to this mocked method"),
+  limit: z.number().optional().default(50).describe("Maximum number of calls to return (most recent)"),
+});
+
 const screenshotSchema = z.object({
-  path: z.string().optional().describe("File path to save the screenshot (optional, returns base64 if omitted)"),
+  path: z.string().optional().describe("File path to also save the PNG to (optional)"),
+  selector: z.string().optional().describe("CSS selector of an element to crop the screenshot to (mini-program only)"),
+  maxWidth: z.number().optional().describe("Downscale the image to at most this width in pixels, keeping aspect ratio"),
+});
+
+const maskRectSchema = z.object({
+  left: z.number(),
+  top: z.number(),
+  width: z.number(),
+  height: z.number(),
+}).describe("Rectangle in pixels of the compared image");
+
+const visualSnapshotSchema = z.object({
+  name: z.string().describe("Baseline name (letters, digits, '.', '_', '-')"),
+  selector: z.string().optional().describe("CSS selector of an element to crop the baseline to"),
+  maxWidth: z.number().optional().describe("Downscale the baseline to at most this width in pixels"),
+});
+
+const visualCompareSchema = z.object({
+  name: z.string().describe("Baseline name to compare against"),
+  selector: z.string().optional().describe("CSS selector to crop to (defaults to the one stored with the baseline)"),
+  maxWidth: z.number().optional().describe("Downscale width (defaults to the one stored with the baseline)"),
+  threshold: z.number().min(0).max(1).optional().default(0.1)
+    .describe("Per-pixel color tolerance, 0 (exact) to 1"),
+  maxMismatchPercent: z.number().optional().default(0)
+    .describe("Maximum percentage of mismatched pixels for the comparison to pass"),
+  masks: z.array(maskRectSchema).optional().default([]).describe("Rectangles to ignore"),
+  maskSelectors: z.array(z.string()).optional().default([]).describe("CSS selectors of elements to ignore (e.g. timestamps, avatars)"),
 });
 
 const waitForSchema = z.object({
   selector: z.string().optional().describe("CSS selector to wait for"),
   data: z.string().optional().describe("Data path to wait for a specific value"),
+  value: z.any().optional().describe("Expected value at the data path (if omitted, waits until the path is set)"),
+  match: z.enum(["equals", "contains", "matches"])
+    .optional().default("equals")
+    .describe("How to compare the data value: deep equality, contains (substring / array element / object subset), or regex match"),
+  condition: z.string().optional().describe("JavaScript expression evaluated in the AppService context until it is truthy"),
+  interval: z.number().optional().default(200).describe("Polling interval in ms for data and condition waits"),
   timeout: z.number().optional().default(5000).describe("Maximum wait time in ms"),
+}).superRefine((value, ctx) => {
+  const modes = ["selector", "data", "condition"].filter(key => value[key] !== undefined);
+  if (modes.length !== 1) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: modes.length === 0 ? ["selector"] : [modes[1]],
+      message: "Provide exactly one of 'selector', 'data' or 'condition'",
+    });
+  }
+  if (value.match === "matches" && value.value !== undefined) {
+    try {
+      new RegExp(value.value);
+    } catch (e) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["value"], message: e.message });
+    }
+  }
 });
 
 const waitReadySchema = z.object({
@@ -369,6 +1929,30 @@ const waitReadySchema = z.object({
 
 const getProjectTypeSchema = z.object({});
 
+const crawlPagesSchema = z.object({
+  pages: z.array(z.string()).optional().describe("Routes to visit, e.g. 'pages/index/index' (defaults to every page in app.json, subPackages included)"),
+  queries: z.record(z.union([z.string(), z.record(z.any())])).optional()
+    .describe("Query fixtures per route, as a query string ('id=1&tab=2') or an object ({ id: 1 })"),
+  settle: z.number().optional().default(1000).describe("Time in ms to keep collecting errors after the page is ready"),
+  timeout: z.number().optional().default(10000).describe("Maximum time in ms to wait for each page to become current"),
+  screenshot: z.boolean().optional().default(true).describe("Save a screenshot of each page under <project>/.crawl/"),
+  maxWidth: z.number().optional().describe("Downscale saved screenshots to this width"),
+});
+
+const getProjectStructureSchema = z.object({
+  projectPath: z.string().optional().describe("Project root (defaults to the connected session's project)"),
+});
+
+const analyzePackageSizeSchema = z.object({
+  projectPath: z.string().optional().describe("Project root (defaults to the connected session's project)"),
+  baseline: z.string().optional().describe("Compare with this saved baseline"),
+  saveBaseline: z.string().optional().describe("Save the result as a baseline with this name"),
+  warnRatio: z.number().min(0).max(1).optional().default(0.9).describe("Warn when a package reaches this share of its limit"),
+  top: z.number().int().min(0).optional().default(10).describe("Number of largest files to list"),
+});
+
+const listSessionsSchema = z.object({});
+
 const gameGetInfoSchema = z.object({});
 
 const gameGetUserInfoSchema = z.object({});
@@ -379,6 +1963,33 @@ const gameGetCloudStorageSchema = z.object({
   keys: z.array(z.string()).describe("Cloud storage keys to retrieve"),
 });
 
+const startRecordingSchema = z.object({
+  name: z.string().describe("Scenario name (letters, digits, '.', '_', '-')"),
+});
+
+const stopRecordingSchema = z.object({
+  path: z.string().optional().describe("File path to save the scenario JSON (defaults to <project>/.scenarios/<name>.json)"),
+});
+
+const exportTestSchema = z.object({
+  name: z.string().describe("Test name, used for the describe() block and the default file name"),
+  scenario: z.string().optional().describe("Export a saved scenario instead of the current session's tool calls"),
+  lastSteps: z.number().int().positive().optional().describe("Only export the last N steps"),
+  mode: z.enum(["connect", "launch"]).optional().default("connect")
+    .describe("connect: attach to a running DevTools via WECHAT_WS_ENDPOINT; launch: start DevTools with the project via automator.launch"),
+  path: z.string().optional().describe("Output file (defaults to <project>/e2e/<name>.spec.js)"),
+});
+
+const replayScenarioSchema = z.object({
+  name: z.string().optional().describe("Scenario name saved under <project>/.scenarios/"),
+  path: z.string().optional().describe("Path to a scenario JSON file"),
+  stopOnFailure: z.boolean().optional().default(false).describe("Stop at the first failing step"),
+}).superRefine((value, ctx) => {
+  if (!value.name === !value.path) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["name"], message: "Provide exactly one of 'name' or 'path'" });
+  }
+});
+
 const TOOLS = {
   LAUNCH: "launch",
   CONNECT: "connect",
@@ -389,755 +2000,3576 @@ const TOOLS = {
   GET_PAGE_DATA: "get_page_data",
   SET_PAGE_DATA: "set_page_data",
   GET_ELEMENT: "get_element",
+  GET_ELEMENT_TREE: "get_element_tree",
+  AUDIT_ACCESSIBILITY: "audit_accessibility",
   GET_ELEMENT_SIZE: "get_element_size",
   GET_ELEMENT_OFFSET: "get_element_offset",
   TAP_ELEMENT: "tap_element",
   LONGPRESS_ELEMENT: "longpress_element",
+  SWIPE: "swipe",
+  DRAG: "drag",
+  TOUCH_SEQUENCE: "touch_sequence",
   INPUT_TEXT: "input_text",
+  FILL_FORM: "fill_form",
   TRIGGER_EVENT: "trigger_event",
   CALL_METHOD: "call_method",
   EVALUATE: "evaluate",
   CALL_CLOUD_FUNCTION: "call_cloud_function",
+  CLOUD_DB_QUERY: "cloud_db_query",
+  CLOUD_DB_UPDATE: "cloud_db_update",
+  CLOUD_STORAGE_UPLOAD: "cloud_storage_upload",
+  CLOUD_STORAGE_DOWNLOAD: "cloud_storage_download",
   CALL_WX_METHOD: "call_wx_method",
   MOCK_WX_METHOD: "mock_wx_method",
   RESTORE_WX_METHOD: "restore_wx_method",
+  GET_MOCK_CALLS: "get_mock_calls",
+  LIST_MOCKS: "list_mocks",
+  RESTORE_ALL_MOCKS: "restore_all_mocks",
   GET_SYSTEM_INFO: "get_system_info",
   SCREENSHOT: "screenshot",
+  VISUAL_SNAPSHOT: "visual_snapshot",
+  VISUAL_COMPARE: "visual_compare",
   PAGE_SCROLL_TO: "page_scroll_to",
+  SCROLL_INTO_VIEW: "scroll_into_view",
   WAIT_FOR: "wait_for",
   WAIT_READY: "wait_ready",
   GET_CONSOLE_LOGS: "get_console_logs",
+  GET_NETWORK_REQUESTS: "get_network_requests",
+  MOCK_NETWORK_ROUTE: "mock_network_route",
+  CLEAR_NETWORK_MOCKS: "clear_network_mocks",
+  START_TRACE: "start_trace",
+  STOP_TRACE: "stop_trace",
+  GET_TRACE: "get_trace",
+  PROFILE: "profile",
   BUILD_NPM: "build_npm",
   CLOUD_FUNCTIONS_DEPLOY: "cloud_functions_deploy",
+  CLOUD_FUNCTIONS_DEPLOY_INCREMENTAL: "cloud_functions_deploy_incremental",
+  CLOUD_FUNCTION_INVOKE_LOCAL: "cloud_function_invoke_local",
   CLOUD_FUNCTIONS_LIST: "cloud_functions_list",
+  PREVIEW: "preview",
+  UPLOAD: "upload",
+  AUTO_PREVIEW: "auto_preview",
+  CLOSE_PROJECT: "close_project",
+  QUIT_DEVTOOLS: "quit_devtools",
+  CLEAR_CACHE: "clear_cache",
+  GET_JOB_STATUS: "get_job_status",
+  CANCEL_JOB: "cancel_job",
   DISCONNECT: "disconnect",
+  LIST_SESSIONS: "list_sessions",
   GET_PROJECT_TYPE: "get_project_type",
+  GET_PROJECT_STRUCTURE: "get_project_structure",
+  ANALYZE_PACKAGE_SIZE: "analyze_package_size",
+  CRAWL_PAGES: "crawl_pages",
   GAME_GET_INFO: "game_get_info",
   GAME_GET_USER_INFO: "game_get_user_info",
   GAME_GET_OPEN_DATA_CONTEXT: "game_get_open_data_context",
   GAME_GET_CLOUD_STORAGE: "game_get_cloud_storage",
+  START_RECORDING: "start_recording",
+  STOP_RECORDING: "stop_recording",
+  REPLAY_SCENARIO: "replay_scenario",
+  EXPORT_TEST: "export_test",
 };
 
 const server = new Server(
   { name: "wechat-devtools-mcp", version: "1.1.0" },
-  { capabilities: { tools: {} } }
+  { capabilities: { tools: {}, resources: { subscribe: true } } }
 );
 
-function registerTool(name, description, schema) {
-  return { name, description, inputSchema: zodToJsonSchema(schema) };
-}
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      registerTool(TOOLS.LAUNCH,
-        "[REQUIRED INITIAL STEP] Launch and connect WeChat Developer Tools. Opens a mini-program project and establishes an automation connection.",
-        inputSchema
-      ),
-      registerTool(TOOLS.CONNECT,
-        "Connect to an already running WeChat Developer Tools instance via WebSocket. Use if 'launch' fails or to attach to existing session.",
-        connectSchema
-      ),
-      registerTool(TOOLS.CHECK_HEALTH,
-        "[MANDATORY after every code change] Check mini-program health: connection status, current page path, network type, and recent console errors. Fix any errors immediately.",
-        z.object({})
-      ),
-      registerTool(TOOLS.NAVIGATE_TO,
-        "Navigate to a specific page in the mini-program. Supports reLaunch (default, clears stack), navigateTo (pushes to stack), redirectTo (replaces current), and switchTab (tab bar).",
-        navigateToSchema
-      ),
-      registerTool(TOOLS.NAVIGATE_BACK,
-        "Navigate back to the previous page in the mini-program stack.",
-        navigateBackSchema
-      ),
-      registerTool(TOOLS.GET_PAGE_STACK,
-        "Get the current page stack of the mini-program, showing all pages in order.",
-        getPageStackSchema
-      ),
-      registerTool(TOOLS.GET_PAGE_DATA,
-        "Get the data of the current page. Useful for verifying state after interactions or API calls.",
-        getPageDataSchema
-      ),
-      registerTool(TOOLS.SET_PAGE_DATA,
-        "Set data on the current page. Use to mock state or trigger UI updates for testing.",
-        setPageDataSchema
-      ),
-      registerTool(TOOLS.GET_ELEMENT,
-        "Get element information: text content, WXML structure, attributes, computed style, value, or property. Essential for UI verification.",
-        getElementSchema
-      ),
-      registerTool(TOOLS.GET_ELEMENT_SIZE,
-        "Get the size (width, height) of an element on the page.",
-        getElementSizeSchema
-      ),
-      registerTool(TOOLS.GET_ELEMENT_OFFSET,
-        "Get the offset position (left, top, right, bottom) of an element relative to the page.",
-        getElementOffsetSchema
-      ),
-      registerTool(TOOLS.TAP_ELEMENT,
-        "Tap (click) an element on the current page.",
-        tapElementSchema
-      ),
-      registerTool(TOOLS.LONGPRESS_ELEMENT,
-        "Long-press an element on the current page.",
-        longpressElementSchema
-      ),
-      registerTool(TOOLS.INPUT_TEXT,
-        "Input text into an element (e.g., <input>, <textarea>).",
-        inputTextSchema
-      ),
-      registerTool(TOOLS.TRIGGER_EVENT,
-        "Trigger a custom event (e.g., 'change', 'blur', 'submit') on an element.",
-        triggerEventSchema
-      ),
-      registerTool(TOOLS.CALL_METHOD,
-        "Call a method defined on the current page instance.",
-        callMethodSchema
-      ),
-      registerTool(TOOLS.EVALUATE,
-        "Execute arbitrary JavaScript code in the AppService context. Use for complex logic, debugging, or accessing global objects like 'wx'. Returns the last expression value.",
-        evaluateSchema
-      ),
-      registerTool(TOOLS.CALL_CLOUD_FUNCTION,
-        "Call a WeChat Cloud Function via wx.cloud.callFunction.",
-        callCloudFunctionSchema
-      ),
-      registerTool(TOOLS.CALL_WX_METHOD,
-        "Call any wx API method (e.g., getNetworkType, getLocation, getStorage, scanCode). Returns the result directly.",
-        callWxMethodSchema
-      ),
-      registerTool(TOOLS.MOCK_WX_METHOD,
-        "Mock a wx API method to return a custom result. Useful for testing without real device APIs.",
-        mockWxMethodSchema
-      ),
-      registerTool(TOOLS.RESTORE_WX_METHOD,
-        "Restore a previously mocked wx API method to its original implementation.",
-        restoreWxMethodSchema
-      ),
-      registerTool(TOOLS.GET_SYSTEM_INFO,
-        "Get comprehensive system info: device info, SDK version, platform, screen size, window size, etc.",
-        z.object({})
-      ),
-      registerTool(TOOLS.SCREENSHOT,
-        "Take a screenshot of the current mini-program view. Can save to file or return as base64.",
-        screenshotSchema
-      ),
-      registerTool(TOOLS.PAGE_SCROLL_TO,
-        "Scroll the current page to a specific scroll position.",
-        pageScrollToSchema
-      ),
-      registerTool(TOOLS.WAIT_FOR,
-        "Wait for an element to appear on the page or a condition to be met. Useful before interacting with dynamic content.",
-        waitForSchema
-      ),
-      registerTool(TOOLS.WAIT_READY,
-        "Wait for the mini-program to finish compiling and become ready for interaction. Use after 'launch' if the project is still compiling.",
-        waitReadySchema
-      ),
-      registerTool(TOOLS.GET_CONSOLE_LOGS,
-        "Get recent console logs from the mini-program. Filter by level (all, error, warn, info, debug).",
-        getConsoleLogsSchema
-      ),
-      registerTool(TOOLS.BUILD_NPM,
-        "Build NPM dependencies for the mini-program using the DevTools CLI.",
-        buildNpmSchema
-      ),
-      registerTool(TOOLS.CLOUD_FUNCTIONS_DEPLOY,
-        "Deploy cloud functions to a WeChat cloud environment using the DevTools CLI.",
-        cloudFunctionsDeploySchema
-      ),
-      registerTool(TOOLS.CLOUD_FUNCTIONS_LIST,
-        "List cloud functions in a WeChat cloud environment using the DevTools CLI.",
-        cloudFunctionsListSchema
-      ),
-      registerTool(TOOLS.DISCONNECT,
-        "Disconnect the automation session from the mini-program.",
-        z.object({})
-      ),
-      registerTool(TOOLS.GET_PROJECT_TYPE,
-        "Detect the current project type: 'program' (mini-program with pages) or 'game' (mini-game without pages).",
-        getProjectTypeSchema
-      ),
-      registerTool(TOOLS.GAME_GET_INFO,
-        GAME_TOOL_DESCRIPTION.game_get_info,
-        gameGetInfoSchema
-      ),
-      registerTool(TOOLS.GAME_GET_USER_INFO,
-        GAME_TOOL_DESCRIPTION.game_get_user_info,
-        gameGetUserInfoSchema
-      ),
-      registerTool(TOOLS.GAME_GET_OPEN_DATA_CONTEXT,
-        GAME_TOOL_DESCRIPTION.game_get_open_data_context,
-        gameGetOpenDataContextSchema
-      ),
-      registerTool(TOOLS.GAME_GET_CLOUD_STORAGE,
-        GAME_TOOL_DESCRIPTION.game_get_cloud_storage,
-        gameGetCloudStorageSchema
-      ),
-    ],
-  };
-});
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    const { name, arguments: args } = request.params;
-
-    switch (name) {
-      case TOOLS.LAUNCH: {
-        if (miniProgram) {
-          return { content: [{ type: "text", text: "Already connected. Disconnect first or use 'connect' to attach." }] };
-        }
-        const { projectPath, cliPath, port } = args;
+const toolRegistry = new Map();
 
-        if (!projectPath) {
-          return { isError: true, content: [{ type: "text", text: "projectPath is required." }] };
-        }
-        if (!fs.existsSync(projectPath)) {
-          return { isError: true, content: [{ type: "text", text: `Project path does not exist: ${projectPath}` }] };
-        }
+function defineTool(name, description, schema, handler, options = {}) {
+  toolRegistry.set(name, {
+    name,
+    description,
+    schema,
+    handler,
+    requiresConnection: options.requiresConnection !== false,
+    // launch/connect get a fresh session unless an existing one is named
+    createsSession: !!options.createsSession,
+    // "action" steps are replayed, "assertion" steps are replayed and their output compared
+    record: options.record || null,
+  });
+}
 
-        const options = { projectPath, cliPath, port };
-        Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+defineTool(TOOLS.LAUNCH,
+  "[REQUIRED INITIAL STEP] Launch and connect WeChat Developer Tools. Opens a mini-program project and establishes an automation connection.",
+  inputSchema,
+  async (args, session) => {
+    const { projectPath, cliPath, port } = args;
+    if (!session.id) {
+      // Reuse the session for this project, e.g. one that gave up reconnecting
+      session = findSession(other => other.projectPath === projectPath) || session;
+    }
+    if (session.miniProgram || session.stale) {
+      return { content: [{ type: "text", text: `Already connected as session "${session.id}". Disconnect first, or pass a new 'session' name to open another instance.` }] };
+    }
 
-        if (projectPath) connectedProjectPath = projectPath;
-        if (cliPath) connectedCliPath = cliPath;
+    if (!fs.existsSync(projectPath)) {
+      return { isError: true, content: [{ type: "text", text: `Project path does not exist: ${projectPath}` }] };
+    }
 
-        const tryPort = port || DEFAULT_PORT;
-        const projectReady = async (mp) => {
-          const page = await withTimeout(mp.currentPage(), 5000, 'no page');
-          return !!page;
-        };
+    const options = { projectPath, cliPath, port };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
 
-        // Step 1: Try connecting to an already-running DevTools instance
-        let connectedToExisting = false;
-        try {
-          const mp = await withTimeout(
-            automator.connect({ wsEndpoint: `ws://localhost:${tryPort}` }),
-            AUTOMATOR_TIMEOUT,
-            `Connection to port ${tryPort} timed out`
-          );
-
-          // Step 2: Check if a project is already open
-          if (await projectReady(mp).catch(() => false)) {
-            miniProgram = mp;
-            setupListeners(miniProgram);
-            projectType = await detectProjectType(miniProgram);
-            const page = await callWithTimeout(() => miniProgram.currentPage(), 3000);
-            const typeLabel = projectType === PROJECT_TYPE_GAME ? ' (mini-game)' : '';
-            return { content: [{ type: "text", text: `Connected to existing instance on port ${tryPort}, page: ${page.path}${typeLabel}` }] };
-          }
+    if (projectPath) session.projectPath = projectPath;
+    if (cliPath) session.cliPath = cliPath;
 
-          // Step 3: Instance is running without a project — use CLI to open it
-          const finalCliPath = getCliPath(cliPath);
-          if (!finalCliPath) {
-            try { mp.disconnect(); } catch {}
-            return { isError: true, content: [{ type: "text", text: "DevTools is running but no project is open. Provide cliPath to auto-open, or open the project manually in DevTools." }] };
-          }
-          console.error(`Opening project ${projectPath} via CLI...`);
-          await executeCli(['open', '--project', projectPath, '--port', String(tryPort)], finalCliPath);
-
-          // Step 4: Wait for project to compile and load
-          const readyResult = await waitMiniProgramReady(mp, 60000);
-          if (readyResult) {
-            miniProgram = mp;
-            setupListeners(miniProgram);
-            projectType = await detectProjectType(miniProgram);
-            if (readyResult.game) {
-              return { content: [{ type: "text", text: `Opened mini-game project ${projectPath}. Use 'game_*' tools.` }] };
-            }
-            return { content: [{ type: "text", text: `Opened project ${projectPath} in existing DevTools, page: ${readyResult.path}` }] };
-          }
-          try { mp.disconnect(); } catch {}
-          return { isError: true, content: [{ type: "text", text: "Connected to DevTools but the project failed to load. Check DevTools for compilation errors." }] };
-        } catch {}
+    const tryPort = port || DEFAULT_PORT;
+    session.wsEndpoint = `ws://localhost:${tryPort}`;
+    const connected = (text) => {
+      registerSession(session, path.basename(projectPath));
+      return { content: [{ type: "text", text: `${text}\nSession: ${session.id}` }] };
+    };
+    const projectReady = async (mp) => {
+      const page = await withTimeout(mp.currentPage(), 5000, 'no page');
+      return !!page;
+    };
 
-        // Step 5: No running instance — launch DevTools with the project
-        try {
-          miniProgram = await withTimeout(
-            automator.launch(options),
-            AUTOMATOR_TIMEOUT * 3,
-            'Launch timed out'
-          );
-          setupListeners(miniProgram);
-          projectType = await detectProjectType(miniProgram);
-
-          // Wait for mini-program to be ready (compilation + simulator)
-          const readyResult = await waitMiniProgramReady(miniProgram, 60000);
-          if (readyResult) {
-            if (readyResult.game) {
-              return { content: [{ type: "text", text: `Launched mini-game at ${projectPath}. Use 'game_get_info', 'evaluate', 'call_wx_method', 'screenshot' to interact.` }] };
-            }
-            return { content: [{ type: "text", text: `Launched project at ${projectPath}, page: ${readyResult.path}` }] };
-          }
+    // Step 1: Try connecting to an already-running DevTools instance
+    let connectedToExisting = false;
+    try {
+      const mp = await withTimeout(
+        automator.connect({ wsEndpoint: session.wsEndpoint }),
+        AUTOMATOR_TIMEOUT,
+        `Connection to port ${tryPort} timed out`
+      );
 
-          // Connected but mini-program is not ready yet
-          return { content: [{ type: "text", text: `Launched project at ${projectPath} but it is still loading. Use 'wait_ready' or 'check_health' for status.` }] };
-        } catch (launchError) {
-          miniProgram = null;
-          return { isError: true, content: [{ type: "text", text: `Launch failed: ${launchError.message}` }] };
-        }
+      // Step 2: Check if a project is already open
+      if (await projectReady(mp).catch(() => false)) {
+        session.miniProgram = mp;
+        setupListeners(session);
+        session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
+        const page = await callWithTimeout(() => session.miniProgram.currentPage(), 3000);
+        const typeLabel = session.projectType === PROJECT_TYPE_GAME ? ' (mini-game)' : '';
+        return connected(`Connected to existing instance on port ${tryPort}, page: ${page.path}${typeLabel}`);
       }
 
-      case TOOLS.CONNECT: {
-        if (miniProgram) {
-          return { content: [{ type: "text", text: "Already connected. Disconnect first." }] };
-        }
-        let { wsEndpoint, projectPath } = args;
-        if (!wsEndpoint) {
-          wsEndpoint = `ws://localhost:${DEFAULT_PORT}`;
-        }
-        if (projectPath) {
-          connectedProjectPath = projectPath;
-        }
-        try {
-          miniProgram = await withTimeout(
-            automator.connect({ wsEndpoint }),
-            AUTOMATOR_TIMEOUT,
-            `Connection to ${wsEndpoint} timed out`
-          );
-          setupListeners(miniProgram);
-          projectType = await detectProjectType(miniProgram);
-          const typeLabel = projectType === PROJECT_TYPE_GAME ? 'mini-game' : (projectType === PROJECT_TYPE_PROGRAM ? 'mini-program' : 'unknown');
-          return { content: [{ type: "text", text: `Connected to ${typeLabel} at ${wsEndpoint}.` }] };
-        } catch (e) {
-          return { isError: true, content: [{ type: "text", text: `Failed to connect: ${e.message}` }] };
-        }
+      // Step 3: Instance is running without a project — use CLI to open it
+      const finalCliPath = getCliPath(cliPath);
+      if (!finalCliPath) {
+        try { mp.disconnect(); } catch {}
+        return { isError: true, content: [{ type: "text", text: "DevTools is running but no project is open. Provide cliPath to auto-open, or open the project manually in DevTools." }] };
       }
+      console.error(`Opening project ${projectPath} via CLI...`);
+      await executeCli(['open', '--project', projectPath, '--port', String(tryPort)], finalCliPath);
 
-      case TOOLS.CHECK_HEALTH: {
-        if (!miniProgram) {
-          return { content: [{ type: "text", text: JSON.stringify({ connected: false, error: "Not connected" }) }] };
+      // Step 4: Wait for project to compile and load
+      const readyResult = await waitMiniProgramReady(mp, 60000, session.projectPath);
+      if (readyResult) {
+        session.miniProgram = mp;
+        setupListeners(session);
+        session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
+        if (readyResult.game) {
+          return connected(`Opened mini-game project ${projectPath}. Use 'game_*' tools.`);
         }
+        return connected(`Opened project ${projectPath} in existing DevTools, page: ${readyResult.path}`);
+      }
+      try { mp.disconnect(); } catch {}
+      return { isError: true, content: [{ type: "text", text: "Connected to DevTools but the project failed to load. Check DevTools for compilation errors." }] };
+    } catch {}
 
-        if (projectType === null) {
-          projectType = await detectProjectType(miniProgram);
-        }
+    // Step 5: No running instance — launch DevTools with the project
+    try {
+      session.miniProgram = await withTimeout(
+        automator.launch(options),
+        AUTOMATOR_TIMEOUT * 3,
+        'Launch timed out'
+      );
+      setupListeners(session);
+      session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
 
-        let pagePath = "unknown";
-        let pageReady = false;
-        let compilationStatus = "unknown";
-        try {
-          const page = await withTimeout(miniProgram.currentPage(), AUTOMATOR_TIMEOUT, "currentPage() timed out");
-          pagePath = page ? page.path : "no_page_found";
-          pageReady = !!page;
-          if (pageReady) compilationStatus = "ready";
-          else compilationStatus = page ? "no_page" : "no_page_game";
-        } catch (e) {
-          pagePath = `unavailable: ${e.message}`;
-          compilationStatus = projectType === PROJECT_TYPE_GAME ? "game_no_pages" : "compiling";
+      // Wait for mini-program to be ready (compilation + simulator)
+      const readyResult = await waitMiniProgramReady(session.miniProgram, 60000, session.projectPath);
+      if (readyResult) {
+        if (readyResult.game) {
+          return connected(`Launched mini-game at ${projectPath}. Use 'game_get_info', 'evaluate', 'call_wx_method', 'screenshot' to interact.`);
         }
+        return connected(`Launched project at ${projectPath}, page: ${readyResult.path}`);
+      }
 
-        const recentErrors = consoleLogs
-          .filter(log => log.level === 'error' || log.type === 'exception')
-          .slice(-5)
-          .map(log => {
-            const time = new Date(log.timestamp).toLocaleTimeString();
-            return `[${time}] ${log.text}`;
-          });
+      // Connected but mini-program is not ready yet
+      return connected(`Launched project at ${projectPath} but it is still loading. Use 'wait_ready' or 'check_health' for status.`);
+    } catch (launchError) {
+      session.miniProgram = null;
+      return { isError: true, content: [{ type: "text", text: `Launch failed: ${launchError.message}` }] };
+    }
+  },
+  { requiresConnection: false, createsSession: true }
+);
 
-        let networkType = "unknown";
-        if (pageReady) {
-          try {
-            const netRes = await withTimeout(miniProgram.evaluate(() => new Promise(resolve => {
-              wx.getNetworkType({ success: resolve, fail: () => resolve({ networkType: 'fail' }) });
-            })), AUTOMATOR_TIMEOUT, "getNetworkType timed out");
-            if (netRes) networkType = netRes.networkType;
-          } catch (e) {
-            networkType = `check_failed: ${e.message}`;
-          }
+defineTool(TOOLS.CONNECT,
+  "Connect to an already running WeChat Developer Tools instance via WebSocket. Use if 'launch' fails or to attach to existing session.",
+  connectSchema,
+  async (args, session) => {
+    let { wsEndpoint, projectPath } = args;
+    if (!wsEndpoint) {
+      wsEndpoint = `ws://localhost:${DEFAULT_PORT}`;
+    }
+    if (!session.id) {
+      session = findSession(other => other.wsEndpoint === wsEndpoint) || session;
+    }
+    if (session.miniProgram || session.stale) {
+      return { content: [{ type: "text", text: `Already connected as session "${session.id}". Disconnect first.` }] };
+    }
+    session.wsEndpoint = wsEndpoint;
+    if (projectPath) {
+      session.projectPath = projectPath;
+    }
+    try {
+      session.miniProgram = await withTimeout(
+        automator.connect({ wsEndpoint }),
+        AUTOMATOR_TIMEOUT,
+        `Connection to ${wsEndpoint} timed out`
+      );
+      setupListeners(session);
+      session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
+      const typeLabel = session.projectType === PROJECT_TYPE_GAME ? 'mini-game' : (session.projectType === PROJECT_TYPE_PROGRAM ? 'mini-program' : 'unknown');
+      registerSession(session, session.projectPath ? path.basename(session.projectPath) : null);
+      return { content: [{ type: "text", text: `Connected to ${typeLabel} at ${wsEndpoint}.\nSession: ${session.id}` }] };
+    } catch (e) {
+      session.miniProgram = null;
+      return { isError: true, content: [{ type: "text", text: `Failed to connect: ${e.message}` }] };
+    }
+  },
+  { requiresConnection: false, createsSession: true }
+);
+
+defineTool(TOOLS.CHECK_HEALTH,
+  "[MANDATORY after every code change] Check mini-program health: connection status, current page path, network type, and recent console errors. Fix any errors immediately.",
+  z.object({}),
+  async (args, session) => {
+    const disconnectedReport = () => {
+      const report = { connected: false, error: "Not connected" };
+      if (session.stale) {
+        Object.assign(report, {
+          session: session.id,
+          error: "Connection lost, reconnecting",
+          tips: `Reconnecting to ${session.wsEndpoint} in the background. Run 'check_health' again shortly.`,
+        });
+      } else if (session.recovery && session.recovery.state === 'failed' && sessions.has(session.id)) {
+        Object.assign(report, {
+          session: session.id,
+          error: "Connection lost, reconnecting failed",
+          tips: `Make sure DevTools is running, then use 'connect' or 'launch' with session "${session.id}".`,
+        });
+      }
+      if (report.session) report.reconnect = session.recovery;
+      return { content: [{ type: "text", text: JSON.stringify(report, null, 2) }] };
+    };
+    if (!session.miniProgram) {
+      return disconnectedReport();
+    }
+
+    if (session.projectType === null) {
+      session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
+    }
+
+    let pagePath = "unknown";
+    let pageReady = false;
+    let compilationStatus = "unknown";
+    try {
+      const page = await withTimeout(session.miniProgram.currentPage(), AUTOMATOR_TIMEOUT, "currentPage() timed out");
+      pagePath = page ? page.path : "no_page_found";
+      pageReady = !!page;
+      if (pageReady) compilationStatus = "ready";
+      else compilationStatus = page ? "no_page" : "no_page_game";
+    } catch (e) {
+      await checkConnectionLoss(session, e, { anyError: true });
+      if (session.stale) return disconnectedReport();
+      pagePath = `unavailable: ${e.message}`;
+      compilationStatus = session.projectType === PROJECT_TYPE_GAME ? "game_no_pages" : "compiling";
+    }
+
+    const recentErrors = session.consoleLogs
+      .filter(log => log.level === 'error' || log.type === 'exception')
+      .slice(-5)
+      .map(log => {
+        const time = new Date(log.timestamp).toLocaleTimeString();
+        return `[${time}] ${log.text}`;
+      });
+
+    const recentNetworkFailures = session.networkRequests
+      .filter(isFailedNetworkRecord)
+      .slice(-5)
+      .map(entry => `${entry.method || entry.api} ${entry.url} → ${entry.error || entry.status}`);
+
+    let networkType = "unknown";
+    if (pageReady) {
+      try {
+        const netRes = await withTimeout(session.miniProgram.evaluate(() => new Promise(resolve => {
+          wx.getNetworkType({ success: resolve, fail: () => resolve({ networkType: 'fail' }) });
+        })), AUTOMATOR_TIMEOUT, "getNetworkType timed out");
+        if (netRes) networkType = netRes.networkType;
+      } catch (e) {
+        networkType = `check_failed: ${e.message}`;
+      }
+    }
+
+    let tips = "Connected, waiting for compilation...";
+    if (session.projectType === PROJECT_TYPE_GAME) {
+      tips = "Mini-game detected. Use 'game_get_info', 'evaluate', 'call_wx_method' tools. Page/DOM tools are not available.";
+      if (pageReady) tips = "Mini-game is running. Use game_* tools to interact.";
+    } else if (pageReady && networkType !== "unknown") tips = "Mini-program is running normally";
+    else if (pageReady) tips = "Mini-program loaded, but network check failed";
+    if (session.recovery && session.recovery.state === 'reconnected') {
+      tips += `. Reconnected automatically at ${session.recovery.reconnectedAt} (${session.recovery.reason})`;
+      if (session.wxMocks.size > 0) tips += "; wx mocks were reapplied";
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          connected: true,
+          session: session.id,
+          projectType: session.projectType,
+          pagePath,
+          pageReady,
+          compilationStatus,
+          networkType,
+          tips,
+          recentConsoleErrors: recentErrors.length > 0 ? recentErrors : ["No recent errors"],
+          recentNetworkFailures: recentNetworkFailures.length > 0 ? recentNetworkFailures : ["No recent failures"],
+          reconnect: session.recovery || undefined,
+        }, null, 2)
+      }]
+    };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.NAVIGATE_TO,
+  "Navigate to a specific page in the mini-program. Supports reLaunch (default, clears stack), navigateTo (pushes to stack), redirectTo (replaces current), and switchTab (tab bar).",
+  navigateToSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const { url, method } = args;
+    let page;
+    switch (method) {
+      case "navigateTo":
+        page = await callWithTimeout(() => session.miniProgram.navigateTo(url));
+        break;
+      case "redirectTo":
+        page = await callWithTimeout(() => session.miniProgram.redirectTo(url));
+        break;
+      case "switchTab":
+        page = await callWithTimeout(() => session.miniProgram.switchTab(url));
+        break;
+      default:
+        page = await callWithTimeout(() => session.miniProgram.reLaunch(url));
+    }
+    const pagePath = page ? page.path : url;
+    return { content: [{ type: "text", text: `Navigated to ${url} via ${method}. Current page: ${pagePath}` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.NAVIGATE_BACK,
+  "Navigate back to the previous page in the mini-program stack.",
+  navigateBackSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const { delta } = args;
+    // MiniProgram.navigateBack() takes no delta; do what it does (wx.navigateBack, wait, read the page) with one
+    await callWithTimeout(() => session.miniProgram.callWxMethod('navigateBack', { delta }));
+    await sleep(ROUTE_SETTLE_MS);
+    const page = await callWithTimeout(() => session.miniProgram.currentPage());
+    const pagePath = page ? page.path : "unknown";
+    return { content: [{ type: "text", text: `Navigated back (delta=${delta}). Current page: ${pagePath}` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.GET_PAGE_STACK,
+  "Get the current page stack of the mini-program, showing all pages in order.",
+  getPageStackSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const stack = await callWithTimeout(() => session.miniProgram.pageStack());
+    const pages = stack.map(p => ({ path: p.path, query: p.query }));
+    return { content: [{ type: "text", text: JSON.stringify(pages, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GET_PAGE_DATA,
+  "Get the data of the current page. Useful for verifying state after interactions or API calls.",
+  getPageDataSchema,
+  async (args, session) => {
+    const page = await getCurrentPage(session);
+    const { path: dataPath } = args;
+    const data = dataPath ? await callWithTimeout(() => page.data(dataPath)) : await callWithTimeout(() => page.data());
+    return { content: [{ type: "text", text: stringifyResult(data) }], [RECORDED_VALUE]: data };
+  },
+  { record: "assertion" }
+);
+
+defineTool(TOOLS.SET_PAGE_DATA,
+  "Set data on the current page. Use to mock state or trigger UI updates for testing.",
+  setPageDataSchema,
+  async (args, session) => {
+    const page = await getCurrentPage(session);
+    const { data } = args;
+    await callWithTimeout(() => page.setData(data));
+    return { content: [{ type: "text", text: "Page data set successfully." }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.GET_ELEMENT,
+  "Get element information: text content, WXML structure, attributes, computed style, value, or property. Essential for UI verification.",
+  getElementSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    const { action, attributeName, styleName, propertyName } = args;
+
+    let result;
+    switch (action) {
+      case "text": result = await callWithTimeout(() => element.text()); break;
+      case "wxml": result = await callWithTimeout(() => element.wxml()); break;
+      case "outerWxml": result = await callWithTimeout(() => element.outerWxml()); break;
+      case "attribute": result = await callWithTimeout(() => element.attribute(attributeName)); break;
+      case "style": result = await callWithTimeout(() => element.style(styleName)); break;
+      case "value": result = await callWithTimeout(() => element.value()); break;
+      case "property": result = await callWithTimeout(() => element.property(propertyName)); break;
+      default:
+        return { isError: true, content: [{ type: "text", text: `Unknown action: ${action}` }] };
+    }
+
+    return { content: [{ type: "text", text: stringifyResult(result) }], [RECORDED_VALUE]: result };
+  },
+  { record: "assertion" }
+);
+
+// Built-in WXML tags; anything else in a tree is a custom component boundary
+const BUILTIN_TAGS = new Set([
+  'page', 'view', 'scroll-view', 'swiper', 'swiper-item', 'movable-area', 'movable-view', 'cover-view', 'cover-image',
+  'match-media', 'page-container', 'root-portal', 'share-element', 'grid-view', 'list-view', 'sticky-header', 'sticky-section',
+  'icon', 'text', 'rich-text', 'progress', 'button', 'checkbox', 'checkbox-group', 'editor', 'form', 'input', 'label',
+  'picker', 'picker-view', 'picker-view-column', 'radio', 'radio-group', 'slider', 'switch', 'textarea', 'keyboard-accessory',
+  'navigator', 'functional-page-navigator', 'audio', 'image', 'video', 'camera', 'live-player', 'live-pusher', 'voip-room',
+  'map', 'canvas', 'web-view', 'ad', 'ad-custom', 'official-account', 'open-data', 'page-meta', 'navigation-bar',
+  'block', 'slot', 'template', 'import', 'include', 'wxs',
+]);
+
+function parseWxmlAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : true;
+  }
+  return attributes;
+}
+
+// Lenient WXML parser for outerWxml output: tags, attributes and text; unbalanced closing tags are tolerated
+function parseWxml(source) {
+  const root = { tag: '#root', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\/([\w-]+)\s*>|<([\w-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const [, closing, opening, attributes, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    if (closing) {
+      const at = stack.map(node => node.tag).lastIndexOf(closing);
+      if (at > 0) stack.length = at;
+    } else if (opening) {
+      const node = { tag: opening, attributes: parseWxmlAttributes(attributes), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (text && text.trim()) {
+      current.text += (current.text ? ' ' : '') + text.trim();
+    }
+  }
+  return root.children;
+}
+
+function describeWxmlNode(node) {
+  const attributes = node.attributes;
+  const tag = node.tag.replace(/^wx-/, '');
+  const dataset = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name.startsWith('data-')) {
+      dataset[name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = value;
+    }
+  }
+  const classes = typeof attributes.class === 'string' ? attributes.class.split(/\s+/).filter(Boolean) : [];
+  return {
+    tag,
+    id: typeof attributes.id === 'string' && attributes.id ? attributes.id : undefined,
+    classes: classes.length > 0 ? classes : undefined,
+    dataset: Object.keys(dataset).length > 0 ? dataset : undefined,
+    text: node.text ? node.text.slice(0, 200) : undefined,
+    component: !BUILTIN_TAGS.has(tag) || undefined,
+  };
+}
+
+async function getElementLayout(element) {
+  try {
+    const [size, offset] = await Promise.all([
+      callWithTimeout(() => element.size()),
+      callWithTimeout(() => element.offset()),
+    ]);
+    return { size, offset };
+  } catch {
+    return {};
+  }
+}
+
+// Lines parsed WXML nodes up with automator elements: `element.$$(tag)` lists descendants in document order, so
+// the Nth <tag> below the root is the Nth match. Custom components hide their internals from $$, so their subtrees
+// are skipped, and tags whose counts still differ are left unmapped rather than guessed
+async function mapWxmlElements(element, rootNode) {
+  const elementsByNode = new Map([[rootNode, element]]);
+  const byTag = new Map();
+  const collect = node => {
+    for (const child of node.children) {
+      if (!byTag.has(child.tag)) byTag.set(child.tag, []);
+      byTag.get(child.tag).push(child);
+      if (BUILTIN_TAGS.has(child.tag.replace(/^wx-/, ''))) collect(child);
+    }
+  };
+  collect(rootNode);
+  for (const [tag, nodes] of byTag) {
+    const elements = await callWithTimeout(() => element.$$(tag)).catch(() => []);
+    if (elements.length === nodes.length) nodes.forEach((node, i) => elementsByNode.set(node, elements[i]));
+  }
+  return elementsByNode;
+}
+
+async function buildElementTree(element, { depth, layout, budget }) {
+  const [rootNode] = parseWxml(await callWithTimeout(() => element.outerWxml()));
+  if (!rootNode) return { tag: element.tagName };
+  const elementsByNode = layout ? await mapWxmlElements(element, rootNode) : new Map();
+
+  const build = async (node, level) => {
+    if (budget.remaining <= 0) return null;
+    budget.remaining--;
+    const result = describeWxmlNode(node);
+    if (layout && elementsByNode.has(node)) Object.assign(result, await getElementLayout(elementsByNode.get(node)));
+    if (node.children.length > 0) {
+      if (level >= depth) {
+        result.truncated = `${node.children.length} children not shown (depth limit)`;
+      } else {
+        result.children = [];
+        for (const child of node.children) {
+          const built = await build(child, level + 1);
+          if (!built) {
+            result.truncated = 'node limit reached';
+            break;
+          }
+          result.children.push(built);
+        }
+      }
+    }
+    return result;
+  };
+  return build(rootNode, 0);
+}
+
+defineTool(TOOLS.GET_ELEMENT_TREE,
+  "Get the page's (or a subtree's) element hierarchy as JSON: tag, id, classes, dataset, text, size/offset, and custom component boundaries. With 'all', returns every match of the selector with its index, which the element tools accept as 'index'. Use 'within' to look inside custom components.",
+  getElementTreeSchema,
+  async (args, session) => {
+    const { selector, all, index, within, depth, layout, maxNodes } = args;
+    const page = await getCurrentPage(session);
+
+    // Walk into nested custom components; queries inside one go through element.$
+    let scope = page;
+    for (const componentSelector of within || []) {
+      const component = await callWithTimeout(() => scope.$(componentSelector));
+      if (!component) throw new Error(`Custom component not found: ${componentSelector}`);
+      scope = component;
+    }
+
+    let targets;
+    if (!selector) {
+      const root = scope === page ? await callWithTimeout(() => page.$('page')) : scope;
+      targets = root ? [{ element: root }] : [];
+    } else if (all || index !== undefined) {
+      const elements = await callWithTimeout(() => scope.$$(selector));
+      targets = elements.map((element, i) => ({ index: i, element }));
+      if (index !== undefined) targets = targets.filter(target => target.index === index);
+    } else {
+      const element = await callWithTimeout(() => scope.$(selector));
+      targets = element ? [{ element }] : [];
+    }
+    if (targets.length === 0) {
+      throw new Error(`Element not found: ${selector || 'page'}${index !== undefined ? ` [${index}]` : ''}`);
+    }
+
+    const budget = { remaining: maxNodes };
+    const nodes = [];
+    for (const target of targets) {
+      if (budget.remaining <= 0) break;
+      const tree = await buildElementTree(target.element, { depth, layout, budget });
+      nodes.push(target.index !== undefined ? { index: target.index, ...tree } : tree);
+    }
+    const result = all ? { selector, matches: targets.length, nodes } : nodes[0];
+    if (budget.remaining <= 0) {
+      (all ? result : nodes[0]).note = `Stopped at maxNodes (${maxNodes}); narrow the selector or raise maxNodes.`;
+    }
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  }
+);
+
+const TAP_ATTRIBUTES = ['bindtap', 'catchtap', 'bind:tap', 'catch:tap', 'mut-bind:tap'];
+const NATIVE_TAPPABLE_TAGS = new Set(['button', 'navigator', 'checkbox', 'radio', 'switch']);
+const IMAGE_TAGS = new Set(['image', 'cover-image']);
+const FORM_FIELD_TAGS = new Set(['input', 'textarea', 'picker', 'switch', 'slider', 'checkbox', 'radio', 'editor']);
+const NAMED_COLORS = { transparent: [0, 0, 0, 0], white: [255, 255, 255, 1], black: [0, 0, 0, 1] };
+
+function parseCssColor(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+  }
+  const rgb = text.match(/^rgba?\(([^)]+)\)$/);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return [r, g, b, a];
+  }
+  return null;
+}
+
+function blendColor(top, bottom) {
+  const alpha = top[3];
+  return [0, 1, 2].map(i => top[i] * alpha + bottom[i] * (1 - alpha)).concat(1);
+}
+
+// WCAG 2 contrast ratio
+function contrastRatio(foreground, background) {
+  const luminance = color => {
+    const [r, g, b] = color.slice(0, 3).map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+// Stable way to point at a node: #id when it has one, else its first class or tag plus the match index
+function nodeSelector(node, allNodes) {
+  const { id, classes, tag } = describeWxmlNode(node);
+  if (id) return { selector: `#${id}` };
+  const selector = classes ? `.${classes[0]}` : tag;
+  const matches = allNodes.filter(other => {
+    const info = describeWxmlNode(other);
+    return classes ? (info.classes || []).includes(classes[0]) : other.tag === node.tag;
+  });
+  return matches.length > 1 ? { selector, index: matches.indexOf(node) } : { selector };
+}
+
+// Nodes page.$$ can reach: everything outside custom component internals
+function selectableNodes(rootNode) {
+  const nodes = [];
+  const walk = node => {
+    nodes.push(node);
+    if (node !== rootNode && !BUILTIN_TAGS.has(node.tag.replace(/^wx-/, ''))) return;
+    node.children.forEach(walk);
+  };
+  walk(rootNode);
+  return nodes;
+}
+
+const allWxmlNodes = node => [node, ...node.children.flatMap(allWxmlNodes)];
+
+function isSameWxml(a, b) {
+  return a.tag === b.tag && a.text === b.text && isDeepEqual(a.attributes, b.attributes) &&
+    a.children.length === b.children.length && a.children.every((child, i) => isSameWxml(child, b.children[i]));
+}
+
+// Finds a subtree read through a selector in the page's WXML. The element tools index the
+// page-wide page.$$(selector) matches, so findings inside the subtree are indexed against the page.
+async function locateInPage(page, subtreeNode) {
+  const pageElement = await callWithTimeout(() => page.$('page'));
+  const [pageNode] = pageElement ? parseWxml(await callWithTimeout(() => pageElement.outerWxml())) : [];
+  const node = pageNode && allWxmlNodes(pageNode).find(candidate => isSameWxml(candidate, subtreeNode));
+  if (!node) throw new Error("The selected subtree is no longer in the page WXML; the page changed during the audit. Try again.");
+  return { node, pageNodes: selectableNodes(pageNode) };
+}
+
+defineTool(TOOLS.AUDIT_ACCESSIBILITY,
+  "Audit the current page for accessibility problems: tappable elements without aria-label / aria-role, images without an aria-label, touch targets below the minimum size, low-contrast text, and form fields without labels. Violations come with a selector (and index) usable by the element tools.",
+  auditAccessibilitySchema,
+  async (args, session) => {
+    const { selector, minTouchSize, minContrast, maxElements } = args;
+    const enabled = rule => !args.rules || args.rules.includes(rule);
+    const page = await getCurrentPage(session);
+    const root = selector ? await queryElement(session, selector) : await callWithTimeout(() => page.$('page'));
+    if (!root) throw new Error("Could not find the page root element.");
+    let [rootNode] = parseWxml(await callWithTimeout(() => root.outerWxml()));
+    if (!rootNode) throw new Error("The page has no WXML to audit.");
+    let pageNodes = null;
+    if (selector) ({ node: rootNode, pageNodes } = await locateInPage(page, rootNode));
+    const elementsByNode = await mapWxmlElements(root, rootNode);
+
+    // Document-order walk outside custom component internals, keeping parents for label / background lookups
+    const nodes = [];
+    const parents = new Map();
+    const walk = node => {
+      nodes.push(node);
+      if (node !== rootNode && !BUILTIN_TAGS.has(node.tag.replace(/^wx-/, ''))) return;
+      for (const child of node.children) {
+        parents.set(child, node);
+        walk(child);
+      }
+    };
+    walk(rootNode);
+
+    const ancestors = node => {
+      const list = [];
+      for (let current = parents.get(node); current; current = parents.get(current)) list.push(current);
+      return list;
+    };
+    const attribute = async (node, name) => {
+      if (node.attributes[name] !== undefined) return node.attributes[name];
+      const element = elementsByNode.get(node);
+      return element ? callWithTimeout(() => element.attribute(name)).catch(() => null) : null;
+    };
+    const styleCache = new Map();
+    const style = async (node, name) => {
+      const key = `${nodes.indexOf(node)}:${name}`;
+      if (!styleCache.has(key)) {
+        const element = elementsByNode.get(node);
+        styleCache.set(key, element ? await callWithTimeout(() => element.style(name)).catch(() => null) : null);
+      }
+      return styleCache.get(key);
+    };
+    const textOf = node => [node.text, ...node.children.map(textOf)].filter(Boolean).join(' ').trim();
+
+    const violations = [];
+    const report = (rule, severity, node, message, details) => {
+      const info = describeWxmlNode(node);
+      violations.push({ rule, severity, ...nodeSelector(node, pageNodes || nodes), tag: info.tag, text: info.text, message, details });
+    };
+
+    let checked = 0;
+    for (const node of nodes) {
+      if (checked >= maxElements) break;
+      const tag = node.tag.replace(/^wx-/, '');
+      const attributes = node.attributes;
+      if (attributes['aria-hidden'] === 'true' || attributes['aria-hidden'] === true) continue;
+      const hasTapHandler = TAP_ATTRIBUTES.some(name => attributes[name] !== undefined);
+      const tappable = hasTapHandler || NATIVE_TAPPABLE_TAGS.has(tag);
+      const isImage = IMAGE_TAGS.has(tag);
+      const isField = FORM_FIELD_TAGS.has(tag);
+      const hasText = !!node.text;
+      if (!tappable && !isImage && !isField && !hasText) continue;
+      checked++;
+
+      const label = await attribute(node, 'aria-label');
+      const role = await attribute(node, 'aria-role');
+      if (tappable) {
+        const labelledByParent = ancestors(node).some(parent => parent.tag.replace(/^wx-/, '') === 'label' && textOf(parent));
+        if (enabled('tappable-label') && !label && !textOf(node) && !labelledByParent) {
+          report('tappable-label', 'error', node, 'Tappable element has no aria-label and no text for screen readers');
+        }
+        if (enabled('tappable-role') && hasTapHandler && !NATIVE_TAPPABLE_TAGS.has(tag) && !role) {
+          report('tappable-role', 'warning', node, `<${tag}> handles taps but has no aria-role (e.g. aria-role="button")`);
+        }
+        const element = elementsByNode.get(node);
+        if (enabled('touch-target') && element) {
+          const size = await callWithTimeout(() => element.size()).catch(() => null);
+          if (size && (size.width < minTouchSize || size.height < minTouchSize)) {
+            report('touch-target', 'warning', node, `Touch target is ${size.width}x${size.height}px, below ${minTouchSize}x${minTouchSize}px`, { size });
+          }
+        }
+      }
+      if (isImage && enabled('image-alt') && !label) {
+        report('image-alt', 'error', node, 'Image has no aria-label; add one, or aria-hidden="true" if it is decorative');
+      }
+      if (isField && enabled('input-label') && !label && !NATIVE_TAPPABLE_TAGS.has(tag)) {
+        const placeholder = await attribute(node, 'placeholder');
+        const id = attributes.id;
+        const labelled = ancestors(node).some(parent => parent.tag.replace(/^wx-/, '') === 'label') ||
+          (id && nodes.some(other => other.tag.replace(/^wx-/, '') === 'label' && other.attributes.for === id));
+        if (!labelled && !placeholder) {
+          report('input-label', 'error', node, `<${tag}> has no aria-label, placeholder or enclosing <label>`);
+        }
+      }
+      if (hasText && enabled('contrast') && elementsByNode.has(node)) {
+        const color = parseCssColor(await style(node, 'color'));
+        // Effective background: the nearest opaque background going up, blended over white
+        let background = [255, 255, 255, 1];
+        const layers = [];
+        for (const current of [node, ...ancestors(node)]) {
+          const layer = parseCssColor(await style(current, 'background-color'));
+          if (layer && layer[3] > 0) layers.push(layer);
+          if (layer && layer[3] >= 1) break;
+        }
+        for (const layer of layers.reverse()) background = blendColor(layer, background);
+        if (color) {
+          const ratio = contrastRatio(blendColor(color, background), background);
+          const fontSize = parseFloat(await style(node, 'font-size')) || 0;
+          const fontWeight = parseInt(await style(node, 'font-weight'), 10) || 400;
+          const large = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+          const required = large ? Math.min(3, minContrast) : minContrast;
+          if (ratio < required) {
+            report('contrast', 'warning', node, `Text contrast ${ratio}:1 is below ${required}:1`, {
+              color: await style(node, 'color'),
+              background: `rgb(${background.slice(0, 3).map(Math.round).join(', ')})`,
+              fontSize: fontSize || undefined,
+            });
+          }
+        }
+      }
+    }
+
+    const result = {
+      page: page.path,
+      summary: {
+        checkedElements: checked,
+        errors: violations.filter(v => v.severity === 'error').length,
+        warnings: violations.filter(v => v.severity === 'warning').length,
+      },
+      violations,
+    };
+    if (checked >= maxElements) {
+      result.note = `Stopped after ${maxElements} elements; audit a subtree with 'selector' or raise maxElements.`;
+    }
+    if (elementsByNode.size < nodes.length) {
+      result.note = [result.note, "Some elements could not be matched to live nodes, so their size and contrast were not checked."].filter(Boolean).join(' ');
+    }
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GET_ELEMENT_SIZE,
+  "Get the size (width, height) of an element on the page.",
+  getElementSizeSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    const size = await callWithTimeout(() => element.size());
+    return { content: [{ type: "text", text: JSON.stringify(size, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GET_ELEMENT_OFFSET,
+  "Get the offset position (left, top, right, bottom) of an element relative to the page.",
+  getElementOffsetSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    const offset = await callWithTimeout(() => element.offset());
+    return { content: [{ type: "text", text: JSON.stringify(offset, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.TAP_ELEMENT,
+  "Tap (click) an element on the current page.",
+  tapElementSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    await callWithTimeout(() => element.tap());
+    return { content: [{ type: "text", text: `Tapped: ${args.selector}` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.LONGPRESS_ELEMENT,
+  "Long-press an element on the current page.",
+  longpressElementSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    await callWithTimeout(() => element.longpress());
+    return { content: [{ type: "text", text: `Long-pressed: ${args.selector}` }] };
+  },
+  { record: "action" }
+);
+
+function touchPoint(id, x, y, scrollTop) {
+  return { identifier: id, pageX: x, pageY: y, clientX: x, clientY: y - scrollTop };
+}
+
+// ITouchEventOptions names the changed list changeTouches; DevTools builds the event's changedTouches from it
+async function dispatchTouch(element, type, touches, changeTouches) {
+  await callWithTimeout(() => element[type]({ touches, changeTouches }));
+}
+
+// One finger from `from` to `to` (page coordinates), with evenly spaced touchmove events
+async function performTouchPath(session, element, from, to, { steps, duration, holdMs = 0 }) {
+  const page = await getCurrentPage(session);
+  const scrollTop = Number(await callWithTimeout(() => page.scrollTop())) || 0;
+  const start = touchPoint(0, from.x, from.y, scrollTop);
+  await dispatchTouch(element, "touchstart", [start], [start]);
+  if (holdMs > 0) await sleep(holdMs);
+  let point = start;
+  for (let i = 1; i <= steps; i++) {
+    const ratio = i / steps;
+    point = touchPoint(0, from.x + (to.x - from.x) * ratio, from.y + (to.y - from.y) * ratio, scrollTop);
+    await dispatchTouch(element, "touchmove", [point], [point]);
+    await sleep(duration / steps);
+  }
+  await dispatchTouch(element, "touchend", [], [point]);
+}
+
+function boxCenter(box) {
+  return { x: box.left + box.width / 2, y: box.top + box.height / 2 };
+}
+
+defineTool(TOOLS.SWIPE,
+  "Swipe across an element with touchstart / touchmove / touchend events, e.g. a swiper carousel, swipe-to-delete cell or pull-to-refresh area. Coordinates come from the element's offset and size.",
+  swipeSchema,
+  async (args, session) => {
+    const { selector, index, direction, steps, duration } = args;
+    const element = await queryElement(session, selector, index);
+    const box = await measureElement(element);
+    const horizontal = direction === "left" || direction === "right";
+    const distance = args.distance || Math.round((horizontal ? box.width : box.height) * 0.6);
+    const sign = direction === "left" || direction === "up" ? -1 : 1;
+    const center = boxCenter(box);
+    const from = horizontal ? { x: center.x - (sign * distance) / 2, y: center.y } : { x: center.x, y: center.y - (sign * distance) / 2 };
+    const to = horizontal ? { x: from.x + sign * distance, y: from.y } : { x: from.x, y: from.y + sign * distance };
+    await performTouchPath(session, element, from, to, { steps, duration });
+    return { content: [{ type: "text", text: `Swiped ${direction} ${distance}px on ${selector} from (${from.x}, ${from.y}) to (${to.x}, ${to.y})` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.DRAG,
+  "Drag an element to another element or by an offset with touchstart / touchmove / touchend events, e.g. movable-view, drag-to-sort lists or drawing on a canvas. Use holdMs for long-press-to-drag.",
+  dragSchema,
+  async (args, session) => {
+    const { selector, index, toSelector, toIndex, holdMs, steps, duration } = args;
+    const element = await queryElement(session, selector, index);
+    const from = boxCenter(await measureElement(element));
+    const to = toSelector
+      ? boxCenter(await measureElement(await queryElement(session, toSelector, toIndex)))
+      : { x: from.x + (args.dx || 0), y: from.y + (args.dy || 0) };
+    await performTouchPath(session, element, from, to, { steps, duration, holdMs });
+    return { content: [{ type: "text", text: `Dragged ${selector} from (${from.x}, ${from.y}) to (${to.x}, ${to.y})` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.TOUCH_SEQUENCE,
+  "Dispatch a custom sequence of touch events with one or more fingers, e.g. pinch-zoom (two ids moving apart) or a drawing path. Each step lists the fingers that start, move or lift; touches and changedTouches are tracked per finger id.",
+  touchSequenceSchema,
+  async (args, session) => {
+    const { selector, index, steps, relative } = args;
+    const element = await queryElement(session, selector, index);
+    const box = relative ? await measureElement(element) : { left: 0, top: 0 };
+    const page = await getCurrentPage(session);
+    const scrollTop = Number(await callWithTimeout(() => page.scrollTop())) || 0;
+    const active = new Map(); // finger id -> last touch point
+
+    for (const [i, step] of steps.entries()) {
+      const changed = step.touches.map(touch => touchPoint(touch.id, box.left + touch.x, box.top + touch.y, scrollTop));
+      if (step.type === "start") {
+        changed.forEach(touch => active.set(touch.identifier, touch));
+      } else {
+        const unknown = changed.find(touch => !active.has(touch.identifier));
+        if (unknown) {
+          return { isError: true, content: [{ type: "text", text: `Step ${i}: finger ${unknown.identifier} is not down; start it first` }] };
+        }
+        changed.forEach(touch => (step.type === "move" ? active.set(touch.identifier, touch) : active.delete(touch.identifier)));
+      }
+      await dispatchTouch(element, `touch${step.type}`, [...active.values()], changed);
+      if (step.wait) await sleep(step.wait);
+    }
+    const note = active.size > 0 ? ` (${active.size} finger(s) still down)` : "";
+    return { content: [{ type: "text", text: `Dispatched ${steps.length} touch steps on ${selector}${note}` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.INPUT_TEXT,
+  "Input text into an element (e.g., <input>, <textarea>).",
+  inputTextSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    await callWithTimeout(() => element.input(args.value || ""));
+    return { content: [{ type: "text", text: `Input "${args.value}" into ${args.selector}` }] };
+  },
+  { record: "action" }
+);
+
+const PICKER_VALUE_PATTERNS = {
+  date: /^\d{4}(-\d{2}(-\d{2})?)?$/,
+  time: /^\d{2}:\d{2}$/,
+};
+
+const isIndexArray = value => Array.isArray(value) && value.every(item => Number.isInteger(item) && item >= 0);
+
+async function pickerOptionIndex(element, label) {
+  const range = await callWithTimeout(() => element.property("range")).catch(() => null);
+  if (!Array.isArray(range)) return -1;
+  const rangeKey = await callWithTimeout(() => element.attribute("range-key")).catch(() => null);
+  return range.findIndex(option => String(rangeKey && option && typeof option === "object" ? option[rangeKey] : option) === String(label));
+}
+
+// Checks a fill_form value against the control it targets and returns the value to set.
+// Picker option labels (selector mode) are looked up in the range afterwards.
+function normalizeFormValue(tag, mode, value) {
+  switch (tag) {
+    case "input":
+    case "textarea":
+      return String(value ?? "");
+    case "picker":
+      if (mode === "selector") {
+        if (Number.isInteger(value) && value < 0) throw new Error("selector picker expects an option index >= 0 or an option label");
+        return value;
+      }
+      if (mode === "multiSelector") {
+        if (!isIndexArray(value)) throw new Error("multiSelector picker expects an array of column indexes");
+        return value;
+      }
+      if (mode === "region") {
+        if (!Array.isArray(value)) throw new Error("region picker expects [province, city, district]");
+        return value.map(String);
+      }
+      if (PICKER_VALUE_PATTERNS[mode]) {
+        if (!PICKER_VALUE_PATTERNS[mode].test(String(value))) {
+          throw new Error(`${mode} picker expects ${mode === "date" ? "YYYY-MM-DD" : "HH:mm"}, got "${value}"`);
+        }
+        return String(value);
+      }
+      throw new Error(`Unsupported picker mode "${mode}"`);
+    case "slider":
+      if (typeof value !== "number") throw new Error("slider expects a number");
+      return value;
+    case "switch":
+      if (typeof value !== "boolean") throw new Error("switch expects true or false");
+      return value;
+    case "checkbox-group":
+      return (Array.isArray(value) ? value : [value]).map(String);
+    case "radio-group":
+      return String(value);
+    case "picker-view":
+      if (!isIndexArray(value)) throw new Error("picker-view expects an array of column indexes");
+      return value;
+    default:
+      throw new Error(`<${tag}> is not a supported form component; use 'trigger_event' for custom components`);
+  }
+}
+
+async function readProperty(element, name) {
+  return callWithTimeout(() => element.property(name)).catch(() => undefined);
+}
+
+// The checkbox / radio options inside a group, with their value and checked state
+async function listChoices(group, tag) {
+  const items = await callWithTimeout(() => group.$$(tag));
+  const choices = [];
+  for (const item of items) {
+    let value = await readProperty(item, "value");
+    if (value === undefined) value = await callWithTimeout(() => item.attribute("value")).catch(() => null);
+    choices.push({ item, value: String(value ?? ""), checked: !!(await readProperty(item, "checked")) });
+  }
+  return choices;
+}
+
+// Sets one built-in form component the way a user would and returns its new value.
+// picker and picker-view open native UI the automator can't drive: they only get the
+// change event (`simulated`), so the control shows the value only if the page binds it.
+async function fillFormField(element, rawValue) {
+  const tag = element.tagName;
+  const mode = tag === "picker" ? (await callWithTimeout(() => element.attribute("mode")).catch(() => null)) || "selector" : undefined;
+  let value = normalizeFormValue(tag, mode, rawValue);
+  switch (tag) {
+    case "input":
+    case "textarea":
+      await callWithTimeout(() => element.input(value));
+      return { component: tag, detail: { value } };
+    case "picker":
+      if (mode === "selector" && !Number.isInteger(value)) {
+        const index = await pickerOptionIndex(element, value);
+        if (index < 0) throw new Error(`Option "${value}" not found in the picker range; pass the option index instead`);
+        value = index;
+      }
+      await callWithTimeout(() => element.trigger("change", { value }));
+      return { component: tag, mode, detail: { value }, simulated: true };
+    case "slider":
+      await callWithTimeout(() => element.slideTo(value));
+      return { component: tag, detail: { value } };
+    case "switch": {
+      const checked = !!(await readProperty(element, "checked"));
+      if (checked !== value) await callWithTimeout(() => element.tap());
+      return { component: tag, detail: { value }, changed: checked !== value };
+    }
+    case "checkbox-group": {
+      const choices = await listChoices(element, "checkbox");
+      const missing = value.filter(item => !choices.some(choice => choice.value === item));
+      if (missing.length > 0) {
+        throw new Error(`No checkbox with value ${missing.map(item => `"${item}"`).join(", ")} (options: ${choices.map(choice => choice.value).join(", ") || "none"})`);
+      }
+      const toggle = choices.filter(choice => choice.checked !== value.includes(choice.value));
+      for (const choice of toggle) await callWithTimeout(() => choice.item.tap());
+      return { component: tag, detail: { value }, changed: toggle.length > 0 };
+    }
+    case "radio-group": {
+      const choices = await listChoices(element, "radio");
+      const target = choices.find(choice => choice.value === value);
+      if (!target) {
+        throw new Error(`No radio with value "${value}" (options: ${choices.map(choice => choice.value).join(", ") || "none"})`);
+      }
+      if (!target.checked) await callWithTimeout(() => target.item.tap());
+      return { component: tag, detail: { value }, changed: !target.checked };
+    }
+    case "picker-view":
+      await callWithTimeout(() => element.trigger("change", { value }));
+      return { component: tag, detail: { value }, simulated: true };
+  }
+}
+
+// Controls a form collects into its submit detail, by their name attribute
+const FORM_CONTROL_TAGS = ["input", "textarea", "picker", "slider", "switch", "checkbox-group", "radio-group", "picker-view"];
+
+async function readFormControl(control, tag) {
+  switch (tag) {
+    case "switch":
+      return !!(await readProperty(control, "checked"));
+    case "checkbox-group":
+      return (await listChoices(control, "checkbox")).filter(choice => choice.checked).map(choice => choice.value);
+    case "radio-group": {
+      const checked = (await listChoices(control, "radio")).find(choice => choice.checked);
+      return checked ? checked.value : "";
+    }
+    default: {
+      const value = await readProperty(control, "value");
+      return value === undefined ? "" : value;
+    }
+  }
+}
+
+async function collectFormValues(form) {
+  const value = {};
+  for (const tag of FORM_CONTROL_TAGS) {
+    for (const control of await callWithTimeout(() => form.$$(tag))) {
+      const name = await callWithTimeout(() => control.attribute("name")).catch(() => null);
+      if (name) value[name] = await readFormControl(control, tag);
+    }
+  }
+  return value;
+}
+
+// Taps the form's form-type="submit" button so the framework builds the detail from every
+// named control. A form without one gets a submit event with the detail collected the same way.
+async function submitForm(form) {
+  for (const button of await callWithTimeout(() => form.$$("button"))) {
+    const formType = await callWithTimeout(() => button.attribute("form-type")).catch(() => null);
+    if (formType === "submit") {
+      await callWithTimeout(() => button.tap());
+      return { via: "submit button" };
+    }
+  }
+  const detail = { value: await collectFormValues(form) };
+  await callWithTimeout(() => form.trigger("submit", detail));
+  return { via: "submit event", detail };
+}
+
+// A field is `selector: value`, or `selector: { value, index }` to pick the Nth match
+function parseFormField(selector, raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw) || !("value" in raw)) return { selector, value: raw };
+  if (raw.index !== undefined && !(Number.isInteger(raw.index) && raw.index >= 0)) {
+    throw new Error("index must be an integer >= 0");
+  }
+  return { selector, value: raw.value, index: raw.index };
+}
+
+defineTool(TOOLS.FILL_FORM,
+  "Fill several form controls at once the way a user would: types into input/textarea, slides sliders, taps switches, checkboxes and radios until they match. picker (all modes) and picker-view open native UI that can't be automated, so they only receive the change event; the control shows the value only if the page binds it from its bindchange handler. Optionally submits the form by tapping its form-type=\"submit\" button (or, without one, dispatching submit with every named control's value).",
+  fillFormSchema,
+  async (args, session) => {
+    const filled = [];
+    const errors = [];
+    for (const [selector, raw] of Object.entries(args.fields)) {
+      try {
+        const field = parseFormField(selector, raw);
+        const element = await queryElement(session, selector, field.index);
+        const result = await fillFormField(element, field.value);
+        const name = await callWithTimeout(() => element.attribute("name")).catch(() => null);
+        filled.push({ selector, ...(field.index !== undefined ? { index: field.index } : {}), ...result, ...(name ? { name } : {}) });
+      } catch (error) {
+        errors.push({ selector, error: error.message });
+      }
+    }
+
+    const report = { filled, errors };
+    if (args.submit && errors.length === 0) {
+      const formSelector = typeof args.submit === "string" ? args.submit : "form";
+      const form = await queryElement(session, formSelector);
+      report.submitted = { form: formSelector, ...(await submitForm(form)) };
+    } else if (args.submit) {
+      report.submitted = null;
+      report.note = "Form not submitted because some fields failed.";
+    }
+    return { content: [{ type: "text", text: JSON.stringify(report, null, 2) }], isError: errors.length > 0 };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.TRIGGER_EVENT,
+  "Trigger a custom event (e.g., 'change', 'blur', 'submit') on an element.",
+  triggerEventSchema,
+  async (args, session) => {
+    const element = await queryElement(session, args.selector, args.index);
+    await callWithTimeout(() => element.trigger(args.eventName, args.detail || {}));
+    return { content: [{ type: "text", text: `Triggered "${args.eventName}" on ${args.selector}` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.CALL_METHOD,
+  "Call a method defined on the current page instance.",
+  callMethodSchema,
+  async (args, session) => {
+    const page = await getCurrentPage(session);
+    const { method, args: methodArgs } = args;
+    const result = await callWithTimeout(() => page.callMethod(method, ...(methodArgs || [])));
+    return { content: [{ type: "text", text: stringifyResult(result) }] };
+  }
+);
+
+defineTool(TOOLS.EVALUATE,
+  "Execute arbitrary JavaScript code in the AppService context. Use for complex logic, debugging, or accessing global objects like 'wx'. Returns the last expression value.",
+  evaluateSchema,
+  async (args, session) => {
+    const { script, args: scriptArgs } = args;
+    const fn = new Function(...(scriptArgs || []).map((_, i) => `arg${i}`), script);
+    const result = await callWithTimeout(() => session.miniProgram.evaluate(fn, ...(scriptArgs || [])));
+    return { content: [{ type: "text", text: stringifyResult(result) }] };
+  }
+);
+
+defineTool(TOOLS.CALL_CLOUD_FUNCTION,
+  "Call a WeChat Cloud Function via wx.cloud.callFunction.",
+  callCloudFunctionSchema,
+  async (args, session) => {
+    const { name: funcName, data, config } = args;
+    const result = await callWithTimeout(() => session.miniProgram.evaluate((n, d, c) => {
+      return wx.cloud.callFunction({ name: n, data: d, config: c })
+        .catch(err => ({ _isError: true, message: err.message, err }));
+    }, funcName, data, config), 30000);
+
+    if (result && result._isError) {
+      return { isError: true, content: [{ type: "text", text: `Cloud function failed: ${result.message}` }] };
+    }
+    return { content: [{ type: "text", text: stringifyResult(result) }] };
+  }
+);
+
+// Runs inside the AppService. Queries or changes a collection with wx.cloud.database();
+// single-key objects like { $gt: 1 } become db.command calls.
+function cloudDbScript(request) {
+  const db = wx.cloud.database(request.env ? { env: request.env } : undefined);
+  const _ = db.command;
+  const convert = value => {
+    if (Array.isArray(value)) return value.map(convert);
+    if (!value || typeof value !== 'object') return value;
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+      const op = keys[0].slice(1);
+      const arg = value[keys[0]];
+      if (op === 'regex') return db.RegExp(typeof arg === 'string' ? { regexp: arg } : arg);
+      if (op === 'date') return new Date(arg);
+      if (op === 'serverDate') return db.serverDate();
+      if (op === 'remove') return _.remove();
+      if (typeof _[op] !== 'function') throw new Error(`Unknown operator $${op}`);
+      return _[op](convert(arg));
+    }
+    const operators = keys.filter(key => key.charAt(0) === '$');
+    if (operators.length > 0) {
+      // { $gt: 1, $lt: 5 } or { name: 'a', $or: [...] }: every part must match
+      const rest = keys.filter(key => key.charAt(0) !== '$');
+      const parts = operators.map(key => convert({ [key]: value[key] }));
+      if (rest.length > 0) parts.unshift(convert(rest.reduce((out, key) => { out[key] = value[key]; return out; }, {})));
+      return _.and(parts);
+    }
+    return keys.reduce((out, key) => {
+      out[key] = convert(value[key]);
+      return out;
+    }, {});
+  };
+
+  const run = () => {
+    const collection = db.collection(request.collection);
+    const target = request.docId ? collection.doc(request.docId) : (request.where ? collection.where(convert(request.where)) : collection);
+    switch (request.action) {
+      case 'add': return collection.add({ data: convert(request.data) });
+      case 'update': return target.update({ data: convert(request.data) });
+      case 'set': return target.set({ data: convert(request.data) });
+      case 'remove': return target.remove();
+    }
+    if (request.docId) return target.get();
+    let query = target;
+    (request.orderBy || []).forEach(sort => { query = query.orderBy(sort.field, sort.order); });
+    if (request.count) return query.count();
+    if (request.skip) query = query.skip(request.skip);
+    if (request.field) query = query.field(request.field);
+    return query.limit(request.limit).get();
+  };
+  try {
+    return Promise.resolve(run()).catch(err => ({ _isError: true, message: err.errMsg || err.message }));
+  } catch (err) {
+    return { _isError: true, message: err.message };
+  }
+}
+
+async function runCloudDb(session, request) {
+  const result = await callWithTimeout(() => session.miniProgram.evaluate(cloudDbScript, request), 30000);
+  if (result && result._isError) {
+    return { isError: true, content: [{ type: "text", text: `Cloud database ${request.action || 'query'} failed: ${result.message}` }] };
+  }
+  return { content: [{ type: "text", text: stringifyResult(result) }] };
+}
+
+defineTool(TOOLS.CLOUD_DB_QUERY,
+  "Query a cloud database collection through wx.cloud.database() in the app: where conditions ($gt, $in, $regex, $or... map to db.command), orderBy, skip, limit, field projection, or a count. Runs with the app's own permissions.",
+  cloudDbQuerySchema,
+  async (args, session) => runCloudDb(session, { ...args, action: null })
+);
+
+defineTool(TOOLS.CLOUD_DB_UPDATE,
+  "Change cloud database records through wx.cloud.database() in the app: update ($inc, $push, $remove... map to db.command), set, add or remove, by docId or where. Runs with the app's own permissions.",
+  cloudDbUpdateSchema,
+  async (args, session) => runCloudDb(session, args)
+);
+
+defineTool(TOOLS.CLOUD_STORAGE_UPLOAD,
+  "Upload a local file to cloud storage with wx.cloud.uploadFile and return its fileID.",
+  cloudStorageUploadSchema,
+  async (args, session) => {
+    const localPath = path.resolve(session.projectPath || '', args.filePath);
+    const { size } = fs.statSync(localPath);
+    if (size > MAX_CLOUD_FILE_BYTES) {
+      return { isError: true, content: [{ type: "text", text: `${args.filePath} is ${formatBytes(size)}; files over ${formatBytes(MAX_CLOUD_FILE_BYTES)} are not sent through the automator.` }] };
+    }
+    const result = await callWithTimeout(() => session.miniProgram.evaluate((cloudPath, base64, fileName, env) => {
+      const fsm = wx.getFileSystemManager();
+      const tempPath = `${wx.env.USER_DATA_PATH}/${Date.now()}-${fileName}`;
+      fsm.writeFileSync(tempPath, base64, 'base64');
+      const cleanup = () => { try { fsm.unlinkSync(tempPath); } catch (e) {} };
+      return wx.cloud.uploadFile({ cloudPath, filePath: tempPath, config: env ? { env } : undefined })
+        .then(res => { cleanup(); return { fileID: res.fileID, statusCode: res.statusCode }; })
+        .catch(err => { cleanup(); return { _isError: true, message: err.errMsg || err.message }; });
+    }, args.cloudPath, fs.readFileSync(localPath).toString('base64'), path.basename(localPath), args.env), 60000);
+    if (result && result._isError) {
+      return { isError: true, content: [{ type: "text", text: `Upload failed: ${result.message}` }] };
+    }
+    return { content: [{ type: "text", text: JSON.stringify({ ...result, size }, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.CLOUD_STORAGE_DOWNLOAD,
+  "Download a file from cloud storage with wx.cloud.downloadFile and save it locally.",
+  cloudStorageDownloadSchema,
+  async (args, session) => {
+    const result = await callWithTimeout(() => session.miniProgram.evaluate((fileID, env, maxBytes) => {
+      return wx.cloud.downloadFile({ fileID, config: env ? { env } : undefined })
+        .then(res => {
+          const fsm = wx.getFileSystemManager();
+          const { size } = fsm.statSync(res.tempFilePath);
+          if (size > maxBytes) return { _isError: true, message: `file is ${size} bytes, over the ${maxBytes} byte transfer limit` };
+          return { base64: fsm.readFileSync(res.tempFilePath, 'base64'), statusCode: res.statusCode };
+        })
+        .catch(err => ({ _isError: true, message: err.errMsg || err.message }));
+    }, args.fileID, args.env, MAX_CLOUD_FILE_BYTES), 60000);
+    if (result && result._isError) {
+      return { isError: true, content: [{ type: "text", text: `Download failed: ${result.message}` }] };
+    }
+    const savePath = args.savePath
+      ? path.resolve(session.projectPath || '', args.savePath)
+      : path.join(os.tmpdir(), path.basename(args.fileID));
+    fs.mkdirSync(path.dirname(savePath), { recursive: true });
+    const data = Buffer.from(result.base64, 'base64');
+    fs.writeFileSync(savePath, data);
+    return { content: [{ type: "text", text: `Saved ${args.fileID} (${formatBytes(data.length)}) to ${savePath}` }] };
+  }
+);
+
+defineTool(TOOLS.CALL_WX_METHOD,
+  "Call any wx API method (e.g., getNetworkType, getLocation, getStorage, scanCode). Returns the result directly.",
+  callWxMethodSchema,
+  async (args, session) => {
+    const { method, args: wxArgs } = args;
+    const result = await callWithTimeout(() => session.miniProgram.callWxMethod(method, ...(wxArgs || [])));
+    return { content: [{ type: "text", text: stringifyResult(result) }] };
+  }
+);
+
+let nextMockId = 1;
+
+function summarizeWxMocks(session) {
+  return [...session.wxMocks.values()].map(mock => ({
+    method: mock.method,
+    result: mock.result,
+    fail: mock.fail,
+    sequence: mock.sequence ? mock.sequence.length : undefined,
+    cases: mock.cases ? mock.cases.length : undefined,
+    delay: mock.delay,
+    calls: session.mockCalls.filter(call => call.method === mock.method).length,
+    mockedAt: mock.mockedAt,
+  }));
+}
+
+defineTool(TOOLS.MOCK_WX_METHOD,
+  "Mock a wx API method. Return a static result, fail with an errMsg (e.g. denied getLocation permission), return a sequence of results for successive calls, or pick a response by matching the call's arguments. Calls are recorded for 'get_mock_calls'.",
+  mockWxMethodSchema,
+  async (args, session) => {
+    const { method, result, fail, sequence, cases, delay } = args;
+    session.wxMocks.set(method, {
+      id: nextMockId++,
+      method,
+      result,
+      fail,
+      sequence,
+      cases,
+      delay,
+      mockedAt: new Date().toISOString(),
+    });
+    await installWxMocks(session);
+    const mode = cases ? `${cases.length} cases` : sequence ? `sequence of ${sequence.length}` : fail ? `fail: ${fail}` : 'static result';
+    return { content: [{ type: "text", text: `Mocked wx.${method}() (${mode})` }] };
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.RESTORE_WX_METHOD,
+  "Restore a previously mocked wx API method to its original implementation.",
+  restoreWxMethodSchema,
+  async (args, session) => {
+    const { method } = args;
+    if (!session.wxMocks.has(method)) {
+      return { isError: true, content: [{ type: "text", text: `wx.${method}() is not mocked. Use 'list_mocks' to see active mocks.` }] };
+    }
+    session.wxMocks.delete(method);
+    await installWxMocks(session);
+    return { content: [{ type: "text", text: `Restored wx.${method}() to original.` }] };
+  }
+);
+
+defineTool(TOOLS.GET_MOCK_CALLS,
+  "Get the recorded calls to mocked wx methods: arguments, which response was used (case / sequence step / default) and whether it succeeded or failed.",
+  getMockCallsSchema,
+  async (args, session) => {
+    const { method, limit } = args;
+    const calls = session.mockCalls.filter(call => !method || call.method === method).slice(-limit);
+    return { content: [{ type: "text", text: calls.length > 0 ? JSON.stringify(calls, null, 2) : "No mock calls recorded." }] };
+  }
+);
+
+defineTool(TOOLS.LIST_MOCKS,
+  "List the wx methods currently mocked by this server and the network mock routes, with call counts.",
+  z.object({}),
+  async (args, session) => {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ wxMethods: summarizeWxMocks(session), networkRoutes: summarizeNetworkMocks(session) }, null, 2)
+      }]
+    };
+  }
+);
+
+defineTool(TOOLS.RESTORE_ALL_MOCKS,
+  "Restore every mocked wx method and remove all network mock routes.",
+  z.object({}),
+  async (args, session) => {
+    const methods = [...session.wxMocks.keys()];
+    const routes = session.networkMocks.length;
+    session.wxMocks.clear();
+    session.networkMocks.length = 0;
+    await installWxMocks(session);
+    await installNetworkHooks(session);
+    return { content: [{ type: "text", text: `Restored ${methods.length} wx methods${methods.length ? ` (${methods.join(', ')})` : ''} and removed ${routes} network routes.` }] };
+  }
+);
+
+defineTool(TOOLS.GET_SYSTEM_INFO,
+  "Get comprehensive system info: device info, SDK version, platform, screen size, window size, etc.",
+  z.object({}),
+  async (args, session) => {
+    const info = await callWithTimeout(() => session.miniProgram.systemInfo(), 15000);
+    return { content: [{ type: "text", text: stringifyResult(info) }] };
+  }
+);
+
+defineTool(TOOLS.SCREENSHOT,
+  "Take a screenshot of the current mini-program view and return it as a PNG image. Optionally crop to an element, downscale, or save to file.",
+  screenshotSchema,
+  async (args, session) => {
+    const { path: screenshotPath, selector, maxWidth } = args;
+    const shot = await captureScreenshot(session, { selector, maxWidth });
+    let summary = `Screenshot ${shot.width}x${shot.height}${selector ? ` of ${selector}` : ''}`;
+    if (screenshotPath) {
+      fs.mkdirSync(path.dirname(screenshotPath), { recursive: true });
+      fs.writeFileSync(screenshotPath, Buffer.from(shot.data, 'base64'));
+      summary += `, saved to: ${screenshotPath}`;
+    }
+    return {
+      content: [
+        { type: "image", data: shot.data, mimeType: "image/png" },
+        { type: "text", text: summary },
+      ]
+    };
+  }
+);
+
+defineTool(TOOLS.VISUAL_SNAPSHOT,
+  "Save the current screenshot as a named visual regression baseline under the connected project (.visual-baselines/).",
+  visualSnapshotSchema,
+  async (args, session) => {
+    const { name: baselineName, selector, maxWidth } = args;
+    const files = getBaselinePaths(session, baselineName);
+    const shot = await captureScreenshot(session, { selector, maxWidth });
+    let pagePath = null;
+    try {
+      const page = await callWithTimeout(() => session.miniProgram.currentPage());
+      pagePath = page ? page.path : null;
+    } catch {}
+    fs.mkdirSync(files.dir, { recursive: true });
+    fs.writeFileSync(files.image, Buffer.from(shot.data, 'base64'));
+    fs.writeFileSync(files.meta, JSON.stringify({
+      selector: selector || null,
+      maxWidth: maxWidth || null,
+      pagePath,
+      width: shot.width,
+      height: shot.height,
+      createdAt: new Date().toISOString(),
+    }, null, 2));
+    return {
+      content: [
+        { type: "image", data: shot.data, mimeType: "image/png" },
+        { type: "text", text: `Baseline "${baselineName}" saved (${shot.width}x${shot.height}) to: ${files.image}` },
+      ]
+    };
+  }
+);
+
+defineTool(TOOLS.VISUAL_COMPARE,
+  "Compare a new screenshot with a saved baseline pixel by pixel. Returns the mismatch percentage and a diff image (mismatches in red, masked areas in blue).",
+  visualCompareSchema,
+  async (args, session) => {
+    const { name: baselineName, threshold, maxMismatchPercent, masks, maskSelectors } = args;
+    const files = getBaselinePaths(session, baselineName);
+    if (!fs.existsSync(files.image)) {
+      return { isError: true, content: [{ type: "text", text: `Baseline "${baselineName}" not found. Use 'visual_snapshot' to create it.` }] };
+    }
+    let meta = {};
+    try {
+      meta = JSON.parse(fs.readFileSync(files.meta, 'utf-8'));
+    } catch {}
+    const selector = args.selector || meta.selector || undefined;
+    const maxWidth = args.maxWidth || meta.maxWidth || undefined;
+
+    const baseline = PNG.sync.read(fs.readFileSync(files.image));
+    const shot = await captureScreenshot(session, { selector, maxWidth, maskSelectors });
+    fs.mkdirSync(path.dirname(files.actual), { recursive: true });
+    fs.writeFileSync(files.actual, Buffer.from(shot.data, 'base64'));
+
+    if (baseline.width !== shot.width || baseline.height !== shot.height) {
+      return {
+        isError: true,
+        content: [
+          { type: "image", data: shot.data, mimeType: "image/png" },
+          { type: "text", text: `Size mismatch: baseline is ${baseline.width}x${baseline.height}, current is ${shot.width}x${shot.height}. Re-create the baseline with 'visual_snapshot' if the change is intended.` },
+        ]
+      };
+    }
+
+    const result = diffPng(baseline, shot.png, { threshold, masks: [...masks, ...shot.masks] });
+    const diffData = encodePng(result.diff);
+    fs.writeFileSync(files.diff, Buffer.from(diffData, 'base64'));
+    const passed = result.mismatchPercent <= maxMismatchPercent;
+    return {
+      isError: !passed,
+      content: [
+        { type: "image", data: diffData, mimeType: "image/png" },
+        {
+          type: "text",
+          text: JSON.stringify({
+            name: baselineName,
+            passed,
+            mismatchPercent: result.mismatchPercent,
+            mismatchedPixels: result.mismatchedPixels,
+            comparedPixels: result.comparedPixels,
+            maxMismatchPercent,
+            threshold,
+            diffPath: files.diff,
+            actualPath: files.actual,
+          }, null, 2)
+        },
+      ]
+    };
+  }
+);
+
+async function queryScrollView(session, selector, index) {
+  const element = await queryElement(session, selector, index);
+  if (element.tagName !== "scroll-view") {
+    throw new Error(`${selector} is a <${element.tagName}>, not a <scroll-view>`);
+  }
+  return element;
+}
+
+defineTool(TOOLS.PAGE_SCROLL_TO,
+  "Scroll the current page, or a <scroll-view> element when selector is given, to a specific scroll position.",
+  pageScrollToSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const { scrollTop, scrollLeft, duration, selector, index } = args;
+    if (selector) {
+      const element = await queryScrollView(session, selector, index);
+      await callWithTimeout(() => element.scrollTo(scrollLeft || 0, scrollTop));
+      const actual = await callWithTimeout(() => element.property("scrollTop"));
+      return { content: [{ type: "text", text: `Scrolled ${selector} to ${actual}px` }] };
+    }
+    if (duration) {
+      await callWithTimeout(() => session.miniProgram.evaluate((top, dur) => {
+        wx.pageScrollTo({ scrollTop: top, duration: dur });
+      }, scrollTop, duration));
+    } else {
+      await callWithTimeout(() => session.miniProgram.pageScrollTo(scrollTop));
+    }
+    return { content: [{ type: "text", text: `Scrolled to ${scrollTop}px` }] };
+  },
+  { record: "action" }
+);
+
+// Viewport of the page or a scroll-view, in page coordinates like element offsets
+async function getScrollState(session, container, windowHeight) {
+  if (container) {
+    const box = await measureElement(container);
+    const scrollTop = Number(await callWithTimeout(() => container.property("scrollTop"))) || 0;
+    const scrollHeight = Number(await callWithTimeout(() => container.scrollHeight())) || 0;
+    return { scrollTop, top: box.top, bottom: box.top + box.height, height: box.height, atBottom: scrollTop + box.height >= scrollHeight - 1 };
+  }
+  const page = await getCurrentPage(session);
+  const scrollTop = Number(await callWithTimeout(() => page.scrollTop())) || 0;
+  return { scrollTop, top: scrollTop, bottom: scrollTop + windowHeight, height: windowHeight, atBottom: false };
+}
+
+async function scrollContainerTo(session, container, scrollTop) {
+  if (container) {
+    await callWithTimeout(() => container.scrollTo(0, Math.max(0, scrollTop)));
+  } else {
+    await callWithTimeout(() => session.miniProgram.pageScrollTo(Math.max(0, scrollTop)));
+  }
+}
+
+async function triggerLoadMore(session, container) {
+  if (container) {
+    await callWithTimeout(() => container.trigger("scrolltolower", { direction: "bottom" }));
+    return "scrolltolower";
+  }
+  const page = await getCurrentPage(session);
+  await callWithTimeout(() => page.callMethod("onReachBottom"));
+  return "onReachBottom";
+}
+
+defineTool(TOOLS.SCROLL_INTO_VIEW,
+  "Scroll the page or a <scroll-view> until an element exists and is inside the viewport. Handles lazily loaded lists: at the bottom it calls onReachBottom / triggers bindscrolltolower and keeps scrolling.",
+  scrollIntoViewSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const { selector, maxScrolls, interval, loadMore } = args;
+    const container = args.container ? await queryScrollView(session, args.container) : null;
+    const { windowHeight } = container ? {} : await callWithTimeout(() => session.miniProgram.systemInfo(), 15000);
+    const loadMoreEvents = [];
+    let idleLoads = 0;
+
+    for (let scrolls = 0; ; scrolls++) {
+      const view = await getScrollState(session, container, windowHeight);
+      const page = await getCurrentPage(session);
+      const element = await callWithTimeout(() => page.$(selector));
+      const box = element ? await measureElement(element) : null;
+      if (box && box.top >= view.top - 1 && box.top + Math.min(box.height, view.height) <= view.bottom + 1) {
+        const text = { found: true, selector, scrolls, scrollTop: view.scrollTop, bounds: box, loadMore: loadMoreEvents };
+        return { content: [{ type: "text", text: JSON.stringify(text, null, 2) }] };
+      }
+      if (scrolls >= maxScrolls || idleLoads >= 2) {
+        const reason = idleLoads >= 2 ? "reached the end of the content" : `gave up after ${maxScrolls} scrolls`;
+        const state = box ? "exists but is not in view" : "was not found";
+        return { isError: true, content: [{ type: "text", text: `${selector} ${state}: ${reason} (scrollTop ${view.scrollTop}, load-more events: ${loadMoreEvents.length})` }] };
+      }
+
+      // Jump straight to a rendered element; otherwise page down
+      const target = box
+        ? view.scrollTop + (box.top - view.top) - Math.max(0, (view.height - box.height) / 2)
+        : view.scrollTop + (args.step || Math.round(view.height * 0.8));
+      await scrollContainerTo(session, container, target);
+      await sleep(interval);
+
+      const after = await getScrollState(session, container, windowHeight);
+      const stuck = after.scrollTop <= view.scrollTop || after.atBottom;
+      if (!box && stuck) {
+        if (!loadMore) {
+          idleLoads = 2;
+          continue;
+        }
+        if (after.scrollTop <= view.scrollTop) idleLoads++;
+        try {
+          loadMoreEvents.push(await triggerLoadMore(session, container));
+        } catch {
+          idleLoads = 2; // no onReachBottom handler on this page
+          continue;
+        }
+        await sleep(interval);
+      } else {
+        idleLoads = 0;
+      }
+    }
+  },
+  { record: "action" }
+);
+
+defineTool(TOOLS.WAIT_FOR,
+  "Wait for an element to appear, a page data path to reach an expected value (equals / contains / matches), or a JavaScript condition to become truthy. Useful before interacting with dynamic content.",
+  waitForSchema,
+  async (args, session) => {
+    const { selector, data: dataPath, value: expected, match, condition, interval, timeout } = args;
+    if (selector) {
+      const page = await getCurrentPage(session);
+      await callWithTimeout(() => page.waitFor(selector, timeout), timeout + 2000);
+      return { content: [{ type: "text", text: `Waited for: ${selector}` }] };
+    }
+
+    let result;
+    let target;
+    if (dataPath !== undefined) {
+      await ensurePageTool(session);
+      target = expected === undefined ? `data "${dataPath}" to be set` : `data "${dataPath}" ${match} ${stringifyResult(expected)}`;
+      result = await pollUntil(async () => {
+        // Re-resolve the page each time so waits survive navigation
+        const page = await getCurrentPage(session);
+        const actual = await callWithTimeout(() => page.data(dataPath));
+        const done = expected === undefined
+          ? actual !== undefined && actual !== null
+          : matchesExpected(actual, expected, match);
+        return { done, value: actual };
+      }, { timeout, interval });
+    } else {
+      target = `condition ${condition}`;
+      const fn = new Function(`return (${condition});`);
+      result = await pollUntil(async () => {
+        const actual = await callWithTimeout(() => session.miniProgram.evaluate(fn));
+        return { done: !!actual, value: actual };
+      }, { timeout, interval });
+    }
+
+    if (result.done) {
+      return { content: [{ type: "text", text: `Waited for ${target} (${result.elapsed}ms, ${result.attempts} checks). Value: ${stringifyResult(result.value)}` }] };
+    }
+    const lastObserved = result.error ? `error: ${result.error}` : stringifyResult(result.value);
+    return { isError: true, content: [{ type: "text", text: `Timed out after ${result.elapsed}ms waiting for ${target}. Last observed value: ${lastObserved}` }] };
+  }
+);
+
+defineTool(TOOLS.WAIT_READY,
+  "Wait for the mini-program to finish compiling and become ready for interaction. Use after 'launch' if the project is still compiling.",
+  waitReadySchema,
+  async (args, session) => {
+    const { timeout } = args;
+    if (session.projectType === null) {
+      session.projectType = await detectProjectType(session.miniProgram, session.projectPath);
+    }
+    if (session.projectType === PROJECT_TYPE_GAME) {
+      return { content: [{ type: "text", text: "Mini-game is loaded. Use 'game_get_info', 'evaluate', 'call_wx_method', 'screenshot' for interaction." }] };
+    }
+    const readyResult = await waitMiniProgramReady(session.miniProgram, timeout || 60000, session.projectPath);
+    if (readyResult) {
+      if (readyResult.game) {
+        return { content: [{ type: "text", text: "Mini-game is loaded. Use game_* tools." }] };
+      }
+      return { content: [{ type: "text", text: `Mini-program is ready, current page: ${readyResult.path}` }] };
+    }
+    return { isError: true, content: [{ type: "text", text: `Mini-program not ready after ${timeout || 60000}ms. Check DevTools for compilation errors.` }] };
+  }
+);
+
+defineTool(TOOLS.GET_CONSOLE_LOGS,
+  "Get recent console logs from the mini-program. Filter by level (all, error, warn, info, debug).",
+  getConsoleLogsSchema,
+  async (args, session) => {
+    let { level, limit } = args;
+    if (!limit || limit > MAX_LOG_ENTRIES) limit = MAX_LOG_ENTRIES;
+    let filtered = session.consoleLogs;
+    if (level && level !== 'all') {
+      filtered = filtered.filter(log => log.level === level);
+    }
+    const logs = filtered.slice(-limit).map(log => {
+      const time = new Date(log.timestamp).toLocaleTimeString();
+      const prefix = log.type === 'exception' ? '[EXCEPTION]' : `[${log.level.toUpperCase()}]`;
+      return `${prefix} [${time}] ${log.text}`;
+    });
+    return { content: [{ type: "text", text: logs.length > 0 ? logs.join('\n') : "No console logs." }] };
+  }
+);
+
+defineTool(TOOLS.BUILD_NPM,
+  "Build NPM dependencies for the mini-program using the DevTools CLI.",
+  buildNpmSchema,
+  async (args, session, extra) => {
+    const { projectPath, cliPath } = args;
+    const targetProject = projectPath || session.projectPath;
+    if (!targetProject) {
+      return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
+    }
+    return runCliTool(args, extra, ['build-npm', '--project', targetProject], cliPath || session.cliPath,
+      output => ({ content: [{ type: "text", text: `NPM build successful:\n${output}` }] }));
+  }
+);
+
+defineTool(TOOLS.CLOUD_FUNCTIONS_DEPLOY,
+  "Deploy cloud functions to a WeChat cloud environment using the DevTools CLI.",
+  cloudFunctionsDeploySchema,
+  async (args, session, extra) => {
+    const { env, names, remoteNpmInstall, projectPath, cliPath } = args;
+    const targetProject = projectPath || session.projectPath;
+    if (!targetProject) {
+      return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
+    }
+    const cliArgs = ['cloud', 'functions', 'deploy', '--project', targetProject, '--env', env, '--names', ...names];
+    if (remoteNpmInstall) cliArgs.push('--remote-npm-install');
+    return runCliTool(args, extra, cliArgs, cliPath || session.cliPath,
+      output => ({ content: [{ type: "text", text: `Cloud functions deployed:\n${output}` }] }));
+  }
+);
+
+defineTool(TOOLS.CLOUD_FUNCTIONS_DEPLOY_INCREMENTAL,
+  "Deploy a single file of a cloud function (incremental deploy) using the DevTools CLI, without re-uploading the whole function.",
+  cloudFunctionsDeployIncrementalSchema,
+  async (args, session, extra) => {
+    const projectPath = getCliProject(args, session);
+    // `cli cloud functions inc-deploy --env --name --file` from the DevTools CLI docs
+    // (https://developers.weixin.qq.com/miniprogram/dev/devtools/cli.html); --file is relative to the function directory
+    const cliArgs = ['cloud', 'functions', 'inc-deploy', '--project', projectPath, '--env', args.env, '--name', args.name, '--file', args.file];
+    return runCliTool(args, extra, cliArgs, args.cliPath || session.cliPath,
+      output => ({ content: [{ type: "text", text: `Deployed ${args.file} of ${args.name}:\n${output}` }] }));
+  }
+);
+
+defineTool(TOOLS.CLOUD_FUNCTIONS_LIST,
+  "List cloud functions in a WeChat cloud environment using the DevTools CLI.",
+  cloudFunctionsListSchema,
+  async (args, session, extra) => {
+    const { env, projectPath, cliPath } = args;
+    const targetProject = projectPath || session.projectPath;
+    if (!targetProject) {
+      return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
+    }
+    return runCliTool(args, extra, ['cloud', 'functions', 'list', '--project', targetProject, '--env', env], cliPath || session.cliPath,
+      output => ({ content: [{ type: "text", text: output }] }));
+  }
+);
+
+function getCloudFunctionRoot(projectPath) {
+  const config = readJsonFile(path.join(projectPath, 'project.config.json')) || {};
+  return path.join(projectPath, config.cloudfunctionRoot || 'cloudfunctions');
+}
+
+// Runs in a child Node process (serialized into a temp script). Replaces wx-server-sdk
+// with a stub that records every call chain (e.g. database.collection.where.get) and
+// answers from `mocks` by full path or method name, then calls exports.main.
+function localInvokeRunner(input) {
+  const Module = require('module');
+  const calls = [];
+  const logs = [];
+  const DEFAULT_RESULTS = { get: { data: [] }, count: { total: 0 }, add: { _id: 'local-id' }, update: { stats: { updated: 0 } }, remove: { stats: { removed: 0 } }, set: { stats: { updated: 0 } } };
+  const context = Object.assign({ OPENID: 'local-openid', APPID: 'local-appid', UNIONID: '', ENV: 'local', SOURCE: 'wx_devtools' }, input.context);
+  const resultFor = callPath => {
+    const method = callPath[callPath.length - 1];
+    if (Object.prototype.hasOwnProperty.call(input.mocks, callPath.join('.'))) return input.mocks[callPath.join('.')];
+    if (Object.prototype.hasOwnProperty.call(input.mocks, method)) return input.mocks[method];
+    return Object.prototype.hasOwnProperty.call(DEFAULT_RESULTS, method) ? DEFAULT_RESULTS[method] : {};
+  };
+  const stub = (callPath, called) => new Proxy(function () {}, {
+    get(target, prop) {
+      if (prop === 'toJSON') return () => `[stub ${callPath.join('.')}]`;
+      if (prop === 'then') {
+        if (!called) return undefined;
+        return (resolve, reject) => Promise.resolve(resultFor(callPath)).then(resolve, reject);
+      }
+      if (typeof prop === 'symbol') return undefined;
+      if (callPath.length === 0 && prop === 'getWXContext') return () => context;
+      if (callPath.length === 0 && prop === 'DYNAMIC_CURRENT_ENV') return 'local';
+      return stub([...callPath, prop], false);
+    },
+    apply(target, self, args) {
+      calls.push({ path: callPath.join('.'), args: JSON.parse(JSON.stringify(args, (key, value) => (value === undefined ? null : value))) });
+      return stub(callPath, true);
+    },
+  });
+  const originalLoad = Module._load;
+  Module._load = function (request) {
+    if (request === 'wx-server-sdk') return stub([], false);
+    return originalLoad.apply(this, arguments);
+  };
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    console[level] = (...args) => logs.push({ level, text: args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ') });
+  });
+
+  const start = Date.now();
+  // The output goes over IPC, since the function may write to stdout itself. Exit right away
+  // so timers or open handles left by the function don't hold the process.
+  const finish = output => process.send(Object.assign(output, { calls, logs, durationMs: Date.now() - start }), () => process.exit(0));
+  Promise.resolve()
+    .then(() => require(input.entry).main(input.event, { function_name: input.name, namespace: 'local' }))
+    .then(result => finish({ result: result === undefined ? null : result }))
+    .catch(error => finish({ error: (error && error.message) || String(error), stack: error && error.stack }));
+}
+
+function runLocalInvoke(input, timeout) {
+  const scriptPath = path.join(os.tmpdir(), `wechat-mcp-invoke-${process.pid}-${Date.now()}.cjs`);
+  fs.writeFileSync(scriptPath, `(${localInvokeRunner})(${JSON.stringify(input)});\n`);
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [scriptPath], { cwd: path.dirname(input.entry), stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    let output = null;
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let settled = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeout);
+    // 'error' and 'close' may both fire; remove the temp script and settle once
+    const settle = (error, output) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fs.rmSync(scriptPath, { force: true });
+      if (error) reject(error);
+      else resolve(output);
+    };
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('message', message => { output = message; });
+    child.on('error', error => settle(error));
+    child.on('close', code => {
+      if (timedOut) return settle(new Error(`Cloud function ${input.name} timed out after ${timeout}ms`));
+      if (!output) return settle(new Error(`Cloud function ${input.name} exited with code ${code}${stderr ? `:\n${stderr}` : ''}`));
+      // Writes that bypass the console stub (process.stdout, console.table...)
+      if (stdout.trim()) output.logs.push({ level: 'stdout', text: stdout.trimEnd() });
+      settle(null, output);
+    });
+  });
+}
+
+defineTool(TOOLS.CLOUD_FUNCTION_INVOKE_LOCAL,
+  "Run a cloud function's exports.main from cloudfunctions/<name> locally in Node, offline. wx-server-sdk is replaced by a stub: getWXContext() returns the given context, and database / callFunction / openapi / storage calls are recorded and answered from 'mocks'. Returns the result, the recorded calls and console output.",
+  cloudFunctionInvokeLocalSchema,
+  async (args, session) => {
+    const projectPath = getCliProject(args, session);
+    const functionDir = path.join(getCloudFunctionRoot(projectPath), args.name);
+    const pkg = readJsonFile(path.join(functionDir, 'package.json')) || {};
+    const entry = path.join(functionDir, pkg.main || 'index.js');
+    if (!fs.existsSync(entry)) {
+      return { isError: true, content: [{ type: "text", text: `Cloud function entry not found: ${entry}` }] };
+    }
+    const output = await runLocalInvoke({
+      name: args.name,
+      entry,
+      event: args.event,
+      context: args.context || {},
+      mocks: args.mocks || {},
+    }, args.timeout);
+    return { isError: !!output.error, content: [{ type: "text", text: JSON.stringify(output, null, 2) }] };
+  },
+  { requiresConnection: false }
+);
+
+async function closeSession(session) {
+  if (session.miniProgram && (session.networkMocks.length > 0 || session.wxMocks.size > 0)) {
+    // Don't leave mocks answering calls in the app after we're gone
+    session.networkMocks.length = 0;
+    session.wxMocks.clear();
+    try { await installNetworkHooks(session); } catch {}
+    try { await installWxMocks(session); } catch {}
+  }
+  const mp = session.miniProgram;
+  session.miniProgram = null;
+  session.stale = false;
+  if (mp) mp.disconnect();
+  sessions.delete(session.id);
+  if (defaultSessionId === session.id) {
+    defaultSessionId = [...sessions.keys()].pop() || null;
+  }
+}
+
+function compileConditionArgs(condition) {
+  return condition ? ['--compile-condition', JSON.stringify({ pathName: condition.pathName, query: condition.query || '' })] : [];
+}
+
+defineTool(TOOLS.PREVIEW,
+  "Build a preview with the DevTools CLI and return the QR code image to scan with WeChat, plus the code package sizes.",
+  previewSchema,
+  async (args, session, extra) => {
+    const projectPath = getCliProject(args, session);
+    const qrPath = args.qrOutput
+      ? path.resolve(projectPath, args.qrOutput)
+      : path.join(os.tmpdir(), `wechat-mcp-qr-${process.pid}-${Date.now()}.png`);
+    const info = createInfoOutput();
+    const cliArgs = ['preview', '--project', projectPath, '--qr-format', 'image', '--qr-output', qrPath, ...compileConditionArgs(args.compileCondition), ...info.args];
+    return runCliTool(args, extra, cliArgs, args.cliPath || session.cliPath, output => {
+      const result = { info: summarizeCliInfo(info.read()), qrOutput: args.qrOutput ? qrPath : undefined, output: output || undefined };
+      const content = [{ type: "text", text: JSON.stringify(result, null, 2) }];
+      if (fs.existsSync(qrPath)) {
+        content.push({ type: "image", data: fs.readFileSync(qrPath).toString('base64'), mimeType: "image/png" });
+      }
+      return { content };
+    }, () => {
+      info.cleanup();
+      if (!args.qrOutput) fs.rmSync(qrPath, { force: true });
+    });
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.UPLOAD,
+  "Upload the code as a new development version with the DevTools CLI (it can then be set as the trial version in the admin console). Returns the package sizes.",
+  uploadSchema,
+  async (args, session, extra) => {
+    const projectPath = getCliProject(args, session);
+    const info = createInfoOutput();
+    const cliArgs = ['upload', '--project', projectPath, '-v', args.version];
+    if (args.desc) cliArgs.push('-d', args.desc);
+    return runCliTool(args, extra, [...cliArgs, ...info.args], args.cliPath || session.cliPath, output => {
+      const result = { version: args.version, desc: args.desc, info: summarizeCliInfo(info.read()), output: output || undefined };
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }, info.cleanup);
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.AUTO_PREVIEW,
+  "Build and push a preview straight to the phone of the logged-in DevTools user (no QR code) with the DevTools CLI.",
+  autoPreviewSchema,
+  async (args, session, extra) => {
+    const projectPath = getCliProject(args, session);
+    const info = createInfoOutput();
+    const cliArgs = ['auto-preview', '--project', projectPath, ...compileConditionArgs(args.compileCondition), ...info.args];
+    return runCliTool(args, extra, cliArgs, args.cliPath || session.cliPath, output => ({
+      content: [{ type: "text", text: JSON.stringify({ info: summarizeCliInfo(info.read()), output: output || undefined }, null, 2) }],
+    }), info.cleanup);
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.CLOSE_PROJECT,
+  "Close the project window in DevTools with the CLI. Sessions connected to the project are disconnected first.",
+  closeProjectSchema,
+  async (args, session) => {
+    const projectPath = getCliProject(args, session);
+    const affected = [...sessions.values()].filter(s => s.projectPath && path.resolve(s.projectPath) === path.resolve(projectPath));
+    for (const s of affected) await closeSession(s);
+    const output = await executeCli(['close', '--project', projectPath], args.cliPath || session.cliPath);
+    const closed = affected.length > 0 ? ` Disconnected sessions: ${affected.map(s => s.id).join(', ')}.` : "";
+    return { content: [{ type: "text", text: `Closed ${projectPath}.${closed}${output.trim() ? `\n${output.trim()}` : ""}` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.QUIT_DEVTOOLS,
+  "Quit WeChat DevTools with the CLI. All sessions are disconnected first.",
+  quitDevtoolsSchema,
+  async (args, session) => {
+    const cliPath = args.cliPath || session.cliPath;
+    const affected = [...sessions.values()];
+    for (const s of affected) await closeSession(s);
+    const output = await executeCli(['quit'], cliPath);
+    const closed = affected.length > 0 ? ` Disconnected sessions: ${affected.map(s => s.id).join(', ')}.` : "";
+    return { content: [{ type: "text", text: `DevTools quit.${closed}${output.trim() ? `\n${output.trim()}` : ""}` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.CLEAR_CACHE,
+  "Clear DevTools caches with the CLI: compile (default), storage, file, auth, network, session or all.",
+  clearCacheSchema,
+  async (args, session) => {
+    const cliArgs = ['cache', '--clean', args.type];
+    const projectPath = args.projectPath || session.projectPath;
+    if (projectPath) cliArgs.push('--project', projectPath);
+    const output = await executeCli(cliArgs, args.cliPath || session.cliPath);
+    return { content: [{ type: "text", text: `Cleared ${args.type} cache.${output.trim() ? `\n${output.trim()}` : ""}` }] };
+  },
+  { requiresConnection: false }
+);
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    command: job.command,
+    status: job.status,
+    startedAt: new Date(job.startedAt).toISOString(),
+    durationMs: (job.endedAt || Date.now()) - job.startedAt,
+    exitCode: job.exitCode,
+    timeout: job.timeout,
+    outputLines: job.droppedLines + job.lines.length,
+  };
+}
+
+defineTool(TOOLS.GET_JOB_STATUS,
+  "Get the status and streamed output of a CLI job (build_npm, cloud_functions_*, preview, upload, auto_preview), or list all jobs. Once the job has finished, its tool result is included.",
+  getJobStatusSchema,
+  async (args) => {
+    if (!args.jobId) {
+      const list = [...jobs.values()].map(describeJob);
+      return { content: [{ type: "text", text: list.length > 0 ? JSON.stringify(list, null, 2) : "No CLI jobs yet." }] };
+    }
+    const job = jobs.get(args.jobId);
+    if (!job) {
+      return { isError: true, content: [{ type: "text", text: `Unknown job "${args.jobId}".` }] };
+    }
+    const start = Math.max(args.since, job.droppedLines);
+    const status = {
+      ...describeJob(job),
+      output: job.lines.slice(start - job.droppedLines).map(line => (line.stream === 'stderr' ? `[stderr] ${line.text}` : line.text)),
+      nextLine: job.droppedLines + job.lines.length,
+    };
+    const content = [{ type: "text", text: JSON.stringify(status, null, 2) }];
+    if (job.result) content.push(...job.result.content);
+    return { content, isError: !!(job.result && job.result.isError) };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.CANCEL_JOB,
+  "Cancel a running CLI job.",
+  cancelJobSchema,
+  async (args) => {
+    const job = jobs.get(args.jobId);
+    if (!job) {
+      return { isError: true, content: [{ type: "text", text: `Unknown job "${args.jobId}".` }] };
+    }
+    if (!cancelJob(job)) {
+      return { content: [{ type: "text", text: `Job ${job.id} already ${job.status}.` }] };
+    }
+    return { content: [{ type: "text", text: `Cancelling ${job.id}: ${job.command}` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.DISCONNECT,
+  "Disconnect the automation session from the mini-program.",
+  z.object({}),
+  async (args, session) => {
+    // A session that is reconnecting (or gave up) is still registered and can be dropped
+    if (!session.miniProgram && !sessions.has(session.id)) {
+      return { content: [{ type: "text", text: "Not connected." }] };
+    }
+    await closeSession(session);
+    const remaining = defaultSessionId ? ` Default session is now "${defaultSessionId}".` : "";
+    return { content: [{ type: "text", text: `Disconnected and cleared session "${session.id}".${remaining}` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.LIST_SESSIONS,
+  "List open DevTools sessions with their project, connection endpoint and captured log/network/mock counts. Pass a session id as the 'session' argument of any tool to target it; tools without one use the default (most recently connected) session.",
+  listSessionsSchema,
+  async () => {
+    const list = [...sessions.values()].map(session => ({
+      id: session.id,
+      default: session.id === defaultSessionId,
+      connected: !!session.miniProgram,
+      projectPath: session.projectPath,
+      projectType: session.projectType,
+      wsEndpoint: session.wsEndpoint,
+      connectedAt: session.connectedAt,
+      consoleLogs: session.consoleLogs.length,
+      networkRequests: session.networkRequests.length,
+      wxMocks: session.wxMocks.size,
+      networkMocks: session.networkMocks.length,
+      reconnect: session.recovery || undefined,
+    }));
+    return { content: [{ type: "text", text: JSON.stringify({ sessions: list }, null, 2) }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.GET_PROJECT_TYPE,
+  "Detect the current project type: 'program' (mini-program with pages) or 'game' (mini-game without pages).",
+  getProjectTypeSchema,
+  async (args, session) => {
+    if (session.projectType) {
+      return { content: [{ type: "text", text: `Project type: ${session.projectType === PROJECT_TYPE_GAME ? 'mini-game' : 'mini-program'}` }] };
+    }
+    const detected = await detectProjectType(session.miniProgram, session.projectPath);
+    if (detected) {
+      session.projectType = detected;
+      return { content: [{ type: "text", text: `Project type: ${detected === PROJECT_TYPE_GAME ? 'mini-game' : 'mini-program'}` }] };
+    }
+    return { content: [{ type: "text", text: "Unable to detect project type." }] };
+  }
+);
+
+const SCRIPT_EXTENSIONS = ['.js', '.ts'];
+const SKIPPED_DIRS = new Set(['node_modules', 'miniprogram_npm']);
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Files for a page/component base path; `script` is .js or .ts
+function resolveModuleFiles(base) {
+  const existing = ext => (fs.existsSync(base + ext) ? base + ext : null);
+  return {
+    script: SCRIPT_EXTENSIONS.map(existing).find(Boolean) || null,
+    wxml: existing('.wxml'),
+    json: existing('.json'),
+    wxss: existing('.wxss'),
+  };
+}
+
+// usingComponents lookup: relative to the owner, then miniprogram_npm up to the root, then root-relative
+function resolveComponentPath(root, ownerDir, target) {
+  const asComponent = base => {
+    if (fs.existsSync(`${base}.json`)) return base;
+    if (fs.existsSync(path.join(base, 'index.json'))) return path.join(base, 'index');
+    return null;
+  };
+  if (target.startsWith('/')) return asComponent(path.join(root, target));
+  if (target.startsWith('.')) return asComponent(path.join(ownerDir, target));
+  const candidates = [path.join(ownerDir, target)];
+  for (let dir = ownerDir; ; dir = path.dirname(dir)) {
+    candidates.push(path.join(dir, 'miniprogram_npm', target));
+    if (dir === root || !dir.startsWith(root + path.sep)) break;
+  }
+  candidates.push(path.join(root, target));
+  for (const candidate of candidates) {
+    const resolved = asComponent(candidate);
+    if (resolved) return resolved;
+  }
+  return null;
+}
+
+function findComponentDeclarations(dir, root, found = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRS.has(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      findComponentDeclarations(fullPath, root, found);
+    } else if (entry.name.endsWith('.json')) {
+      const json = readJsonFile(fullPath);
+      if (json && json.component === true) found.push(toPosix(path.relative(root, fullPath.slice(0, -5))));
+    }
+  }
+  return found;
+}
+
+function usesTag(wxml, tag) {
+  const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`<${escaped}[\\s/>]`).test(wxml);
+}
+
+// Page routes a source file mentions: literal routes anywhere, or relative url: '../x/x' / url="../x/x".
+// A literal must be a whole path, so 'pages/a/a' is not found in 'pkg/pages/a/a' or 'pages/a/ab'.
+function findRouteReferences(source, fromRoute, routes) {
+  const found = new Set(routes.filter(route => {
+    const escaped = route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w/.-])/?${escaped}(?![\\w/.-])`).test(source);
+  }));
+  const urlPattern = /url\s*[:=]\s*['"`]([^'"`?{}]+)/g;
+  let match;
+  while ((match = urlPattern.exec(source))) {
+    const url = match[1];
+    const route = url.startsWith('/') ? url.slice(1) : path.posix.join(path.posix.dirname(fromRoute), url);
+    if (routes.includes(route)) found.add(route);
+  }
+  return found;
+}
+
+function analyzeProjectStructure(projectPath) {
+  const { root, appJson } = readAppJson(projectPath);
+  const issues = [];
+  const addIssue = (type, severity, message, location) => issues.push({ type, severity, message, path: location });
+  const relative = filePath => (filePath ? toPosix(path.relative(root, filePath)) : null);
+
+  const plugins = [];
+  for (const [alias, plugin] of Object.entries(appJson.plugins || {})) {
+    plugins.push({ alias, provider: plugin.provider, version: plugin.version, subPackage: null });
+  }
+
+  const tabBarRoutes = ((appJson.tabBar && appJson.tabBar.list) || []).map(item => item.pagePath.replace(/^\//, ''));
+  const pages = (appJson.pages || []).map(route => ({ route, subPackage: null }));
+  const subPackages = [];
+  for (const pkg of appJson.subPackages || appJson.subpackages || []) {
+    const pkgRoot = pkg.root.replace(/^\/|\/+$/g, '');
+    subPackages.push({ root: pkgRoot, name: pkg.name, independent: !!pkg.independent, pages: (pkg.pages || []).length });
+    for (const page of pkg.pages || []) pages.push({ route: `${pkgRoot}/${page}`, subPackage: pkgRoot });
+    for (const [alias, plugin] of Object.entries(pkg.plugins || {})) {
+      plugins.push({ alias, provider: plugin.provider, version: plugin.version, subPackage: pkgRoot });
+    }
+  }
+  const routes = pages.map(page => page.route);
+  // Subpackage whose root holds a route or component id, by exact root + '/' prefix
+  const subPackageOf = id => {
+    const owner = subPackages.find(pkg => id.startsWith(`${pkg.root}/`));
+    return owner ? owner.root : null;
+  };
+
+  const components = new Map(); // id -> component node
+  const edges = [];
+  const sources = new Map(); // page route -> text of its files and the components it uses
+  const globalComponents = appJson.usingComponents || {};
+
+  // Resolves an owner's usingComponents into graph edges and walks into newly found components
+  const linkComponents = (ownerId, ownerDir, usingComponents, ownerSubPackage) => {
+    const linked = {};
+    for (const [tag, target] of Object.entries(usingComponents || {})) {
+      if (target.startsWith('plugin://')) {
+        const alias = target.slice('plugin://'.length).split('/')[0];
+        if (!plugins.some(plugin => plugin.alias === alias && (!plugin.subPackage || plugin.subPackage === ownerSubPackage))) {
+          addIssue('unknown_plugin', 'error', `<${tag}> uses plugin "${alias}", which is not declared in app.json plugins`, ownerId);
         }
+        linked[tag] = target;
+        edges.push({ from: ownerId, to: target, tag });
+        continue;
+      }
+      const base = resolveComponentPath(root, ownerDir, target);
+      if (!base) {
+        addIssue('missing_component', 'error', `<${tag}> points to "${target}", which does not resolve to a component`, ownerId);
+        continue;
+      }
+      const id = relative(base);
+      linked[tag] = id;
+      edges.push({ from: ownerId, to: id, tag });
+      if (!components.has(id)) visitComponent(id, base);
+      components.get(id).usedBy.add(ownerId);
+    }
+    return linked;
+  };
+
+  const visitComponent = (id, base) => {
+    const files = resolveModuleFiles(base);
+    const json = readJsonFile(`${base}.json`) || {};
+    const node = { id, npm: id.includes('miniprogram_npm/'), files, usedBy: new Set(), components: {} };
+    components.set(id, node);
+    for (const ext of ['script', 'wxml']) {
+      if (!files[ext]) addIssue('missing_file', 'error', `Component is missing its ${ext === 'script' ? '.js/.ts' : '.wxml'} file`, id);
+    }
+    if (json.component !== true) addIssue('not_a_component', 'warning', 'Component .json does not set "component": true', id);
+    node.components = linkComponents(id, path.dirname(base), json.usingComponents, subPackageOf(id));
+  };
+
+  const appLinks = linkComponents('app.json', root, globalComponents, null);
+
+  const pageNodes = pages.map(page => {
+    const base = path.join(root, page.route);
+    const files = resolveModuleFiles(base);
+    if (!files.wxml) addIssue('missing_file', 'error', 'Page is missing its .wxml file', page.route);
+    if (!files.script) addIssue('missing_file', 'error', 'Page is missing its .js/.ts file', page.route);
+    if (!files.json) addIssue('missing_file', 'warning', 'Page has no .json config', page.route);
+    const json = (files.json && readJsonFile(files.json)) || {};
+    const pageComponents = linkComponents(page.route, path.dirname(base), json.usingComponents, page.subPackage);
+    return { ...page, tabBar: tabBarRoutes.includes(page.route) || undefined, files, json, components: pageComponents };
+  });
+
+  // Text searched for navigation: the page's own files plus every component it pulls in
+  const readSource = files => [files.script, files.wxml].filter(Boolean).map(file => fs.readFileSync(file, 'utf-8')).join('\n');
+  for (const page of pageNodes) {
+    const seen = new Set();
+    const queue = Object.values({ ...appLinks, ...page.components });
+    let text = readSource(page.files);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const node = components.get(id);
+      if (!node || seen.has(id)) continue;
+      seen.add(id);
+      if (!node.npm) text += '\n' + readSource(node.files);
+      queue.push(...Object.values(node.components));
+    }
+    sources.set(page.route, text);
+  }
+
+  // Unused declarations: the tag never appears in the owner's WXML (global ones: in any WXML)
+  const wxmlOf = files => (files.wxml ? fs.readFileSync(files.wxml, 'utf-8') : '');
+  const allWxml = [...pageNodes.map(page => wxmlOf(page.files)), ...[...components.values()].map(node => wxmlOf(node.files))].join('\n');
+  for (const tag of Object.keys(appLinks)) {
+    if (!usesTag(allWxml, tag)) addIssue('unused_component', 'warning', `Global component <${tag}> is not used in any WXML`, 'app.json');
+  }
+  const owners = [...pageNodes.map(page => ({ id: page.route, files: page.files, components: page.components })), ...components.values()];
+  for (const owner of owners) {
+    const wxml = wxmlOf(owner.files);
+    for (const tag of Object.keys(owner.components)) {
+      if (owner.files.wxml && !usesTag(wxml, tag)) addIssue('unused_component', 'warning', `<${tag}> is declared in usingComponents but not used in the WXML`, owner.id);
+    }
+  }
+  for (const id of findComponentDeclarations(root, root)) {
+    if (!components.has(id) && !routes.includes(id)) {
+      addIssue('unused_component', 'warning', 'Component is not referenced by any usingComponents', id);
+    }
+  }
+
+  for (const route of tabBarRoutes) {
+    const page = pages.find(entry => entry.route === route);
+    if (!page) addIssue('tabbar_page_not_in_pages', 'error', 'tabBar page is not listed in app.json pages', route);
+    else if (page.subPackage) addIssue('tabbar_page_not_in_pages', 'error', 'tabBar page must be in the main package, not a subPackage', route);
+  }
+
+  // Reachability: entry page, tabBar pages and app.js, following statically visible navigation
+  const entryPage = (appJson.entryPagePath || routes[0] || '').replace(/^\//, '');
+  const reachable = new Set();
+  const queue = [entryPage, ...tabBarRoutes].filter(route => routes.includes(route));
+  const appScript = SCRIPT_EXTENSIONS.map(ext => path.join(root, `app${ext}`)).find(file => fs.existsSync(file));
+  if (appScript) queue.push(...findRouteReferences(fs.readFileSync(appScript, 'utf-8'), '', routes));
+  while (queue.length > 0) {
+    const route = queue.shift();
+    if (reachable.has(route)) continue;
+    reachable.add(route);
+    queue.push(...findRouteReferences(sources.get(route) || '', route, routes));
+  }
+  for (const route of routes) {
+    if (!reachable.has(route)) {
+      addIssue('unreachable_page', 'warning', 'No navigation to this page found from the entry page, tabBar or app.js (dynamic URLs are not detected)', route);
+    }
+  }
+
+  return {
+    projectPath,
+    miniprogramRoot: relative(root) || '.',
+    entryPage,
+    pages: pageNodes.map(page => ({
+      route: page.route,
+      subPackage: page.subPackage,
+      tabBar: page.tabBar,
+      reachable: reachable.has(page.route),
+      files: Object.fromEntries(Object.entries(page.files).map(([ext, file]) => [ext, relative(file)])),
+      components: page.components,
+    })),
+    subPackages,
+    tabBar: appJson.tabBar ? { custom: !!appJson.tabBar.custom, pages: tabBarRoutes } : null,
+    globalComponents: appLinks,
+    components: [...components.values()].map(node => ({
+      id: node.id,
+      npm: node.npm || undefined,
+      files: Object.fromEntries(Object.entries(node.files).map(([ext, file]) => [ext, relative(file)])),
+      components: node.components,
+      usedBy: [...node.usedBy],
+    })),
+    plugins,
+    edges,
+    issues,
+    summary: {
+      pages: pages.length,
+      subPackages: subPackages.length,
+      components: components.size,
+      npmComponents: [...components.values()].filter(node => node.npm).length,
+      plugins: plugins.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+    },
+  };
+}
+
+defineTool(TOOLS.GET_PROJECT_STRUCTURE,
+  "Statically analyze the mini-program project: pages, subPackages, tabBar, usingComponents (including miniprogram_npm) and plugins as a dependency graph. Flags missing .wxml/.js/.json files, unresolved or unused components, unreachable pages and tabBar pages missing from 'pages'.",
+  getProjectStructureSchema,
+  async (args, session) => {
+    const structure = analyzeProjectStructure(args.projectPath || session.projectPath);
+    return { content: [{ type: "text", text: JSON.stringify(structure, null, 2) }] };
+  },
+  { requiresConnection: false }
+);
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+// project.config.json packOptions.ignore; file/folder values are relative to miniprogramRoot
+function createPackIgnore(projectPath) {
+  const config = readJsonFile(path.join(projectPath, 'project.config.json')) || {};
+  const rules = ((config.packOptions && config.packOptions.ignore) || []).map(rule => {
+    const value = String(rule.value || '').replace(/^\.?\//, '').replace(/\/+$/, '');
+    switch (rule.type) {
+      case 'file': return file => file === value;
+      case 'folder': return file => file.startsWith(`${value}/`);
+      case 'suffix': return file => file.endsWith(value);
+      case 'prefix': return file => path.posix.basename(file).startsWith(value);
+      case 'regexp': {
+        const pattern = new RegExp(rule.value);
+        return file => pattern.test(file);
+      }
+      case 'glob': {
+        const pattern = globToRegExp(value);
+        return file => pattern.test(file);
+      }
+      default: return () => false;
+    }
+  });
+  return file => rules.some(matches => matches(file));
+}
+
+const PACK_EXCLUDED_FILES = new Set(['project.config.json', 'project.private.config.json', 'package.json', 'package-lock.json']);
 
-        let tips = "Connected, waiting for compilation...";
-        if (projectType === PROJECT_TYPE_GAME) {
-          tips = "Mini-game detected. Use 'game_get_info', 'evaluate', 'call_wx_method' tools. Page/DOM tools are not available.";
-          if (pageReady) tips = "Mini-game is running. Use game_* tools to interact.";
-        } else if (pageReady && networkType !== "unknown") tips = "Mini-program is running normally";
-        else if (pageReady) tips = "Mini-program loaded, but network check failed";
+// cloudfunctionRoot and pluginRoot are packed separately, even when they sit inside miniprogramRoot
+function getPackExcludedDirs(projectPath) {
+  const config = readJsonFile(path.join(projectPath, 'project.config.json')) || {};
+  return [config.cloudfunctionRoot, config.pluginRoot].filter(Boolean).map(dir => path.resolve(projectPath, dir));
+}
 
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify({
-              connected: true,
-              projectType,
-              pagePath,
-              pageReady,
-              compilationStatus,
-              networkType,
-              tips,
-              recentConsoleErrors: recentErrors.length > 0 ? recentErrors : ["No recent errors"],
-            }, null, 2)
-          }]
-        };
-      }
+function listPackFiles(dir, root, isIgnored, excludedDirs = [], found = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = path.join(dir, entry.name);
+    const file = toPosix(path.relative(root, fullPath));
+    if (entry.isDirectory()) {
+      if (!excludedDirs.includes(fullPath)) listPackFiles(fullPath, root, isIgnored, excludedDirs, found);
+    } else if (!PACK_EXCLUDED_FILES.has(file) && !isIgnored(file)) {
+      found.push({ file, size: fs.statSync(fullPath).size });
+    }
+  }
+  return found;
+}
 
-      case TOOLS.DISCONNECT: {
-        if (!miniProgram) {
-          return { content: [{ type: "text", text: "Not connected." }] };
-        }
-        miniProgram.disconnect();
-        miniProgram = null;
-        connectedProjectPath = null;
-        projectType = null;
-        consoleLogs.length = 0;
-        return { content: [{ type: "text", text: "Disconnected and session cleared." }] };
-      }
+// Dependency name for a file inside miniprogram_npm, e.g. @vant/weapp
+function npmDependencyOf(file) {
+  const parts = file.split('/');
+  const index = parts.indexOf('miniprogram_npm');
+  if (index < 0 || index + 1 >= parts.length - 1) return null;
+  return parts[index + 1].startsWith('@') ? `${parts[index + 1]}/${parts[index + 2]}` : parts[index + 1];
+}
 
-      default: {
-        await ensureConnected();
-
-        switch (name) {
-          case TOOLS.GET_PROJECT_TYPE: {
-            if (projectType) {
-              return { content: [{ type: "text", text: `Project type: ${projectType === PROJECT_TYPE_GAME ? 'mini-game' : 'mini-program'}` }] };
-            }
-            const detected = await detectProjectType(miniProgram);
-            if (detected) {
-              projectType = detected;
-              return { content: [{ type: "text", text: `Project type: ${detected === PROJECT_TYPE_GAME ? 'mini-game' : 'mini-program'}` }] };
-            }
-            return { content: [{ type: "text", text: "Unable to detect project type." }] };
-          }
+function addSize(map, key, size) {
+  map[key] = (map[key] || 0) + size;
+}
 
-          case TOOLS.NAVIGATE_TO: {
-            await ensurePageTool();
-            const { url, method } = args;
-            let page;
-            switch (method) {
-              case "navigateTo":
-                page = await callWithTimeout(() => miniProgram.navigateTo(url));
-                break;
-              case "redirectTo":
-                page = await callWithTimeout(() => miniProgram.redirectTo(url));
-                break;
-              case "switchTab":
-                page = await callWithTimeout(() => miniProgram.switchTab(url));
-                break;
-              default:
-                page = await callWithTimeout(() => miniProgram.reLaunch(url));
-            }
-            const pagePath = page ? page.path : url;
-            return { content: [{ type: "text", text: `Navigated to ${url} via ${method}. Current page: ${pagePath}` }] };
-          }
+const sortedSizes = map => Object.fromEntries(Object.entries(map).sort((a, b) => b[1] - a[1]));
 
-          case TOOLS.NAVIGATE_BACK: {
-            await ensurePageTool();
-            const { delta } = args;
-            const page = await callWithTimeout(() => miniProgram.navigateBack(delta));
-            const pagePath = page ? page.path : "unknown";
-            return { content: [{ type: "text", text: `Navigated back (delta=${delta}). Current page: ${pagePath}` }] };
-          }
+function analyzePackageSize(projectPath, { warnRatio, top }) {
+  const { root, appJson } = readAppJson(projectPath);
+  const subRoots = (appJson.subPackages || appJson.subpackages || [])
+    .map(pkg => ({ root: pkg.root.replace(/^\/|\/+$/g, ''), independent: !!pkg.independent }))
+    .sort((a, b) => b.root.length - a.root.length);
+  const packages = new Map([['main', { name: 'main', size: 0, files: 0, byType: {}, npm: {} }]]);
+  for (const pkg of subRoots) {
+    packages.set(pkg.root, { name: pkg.root, independent: pkg.independent, size: 0, files: 0, byType: {}, npm: {} });
+  }
 
-          case TOOLS.GET_PAGE_STACK: {
-            await ensurePageTool();
-            const stack = await callWithTimeout(() => miniProgram.pageStack());
-            const pages = stack.map(p => ({ path: p.path, query: p.query }));
-            return { content: [{ type: "text", text: JSON.stringify(pages, null, 2) }] };
-          }
+  const files = listPackFiles(root, root, createPackIgnore(projectPath), getPackExcludedDirs(projectPath));
+  for (const { file, size } of files) {
+    const owner = subRoots.find(pkg => file.startsWith(`${pkg.root}/`));
+    const pkg = packages.get(owner ? owner.root : 'main');
+    pkg.size += size;
+    pkg.files++;
+    addSize(pkg.byType, path.posix.extname(file) || '(none)', size);
+    const dependency = npmDependencyOf(file);
+    if (dependency) addSize(pkg.npm, dependency, size);
+  }
 
-          case TOOLS.GET_PAGE_DATA: {
-            const page = await getCurrentPage();
-            const { path: dataPath } = args;
-            const data = dataPath ? await callWithTimeout(() => page.data(dataPath)) : await callWithTimeout(() => page.data());
-            return { content: [{ type: "text", text: stringifyResult(data) }] };
-          }
+  const total = files.reduce((sum, entry) => sum + entry.size, 0);
+  const warnings = [];
+  const check = (label, size, limit) => {
+    if (size > limit) warnings.push({ severity: 'error', message: `${label} is ${formatBytes(size)}, over the ${formatBytes(limit)} limit` });
+    else if (size >= limit * warnRatio) warnings.push({ severity: 'warning', message: `${label} is ${formatBytes(size)}, ${Math.round((size / limit) * 100)}% of the ${formatBytes(limit)} limit` });
+  };
+  for (const pkg of packages.values()) {
+    check(pkg.name === 'main' ? 'Main package' : `Subpackage ${pkg.name}`, pkg.size, pkg.name === 'main' ? PACKAGE_SIZE_LIMITS.main : PACKAGE_SIZE_LIMITS.subPackage);
+  }
+  check('Total of all packages', total, PACKAGE_SIZE_LIMITS.total);
 
-          case TOOLS.SET_PAGE_DATA: {
-            const page = await getCurrentPage();
-            const { data } = args;
-            await callWithTimeout(() => page.setData(data));
-            return { content: [{ type: "text", text: "Page data set successfully." }] };
-          }
+  return {
+    root: toPosix(path.relative(projectPath, root)) || '.',
+    total,
+    packages: [...packages.values()].map(pkg => ({ ...pkg, byType: sortedSizes(pkg.byType), npm: sortedSizes(pkg.npm) })),
+    largestFiles: [...files].sort((a, b) => b.size - a.size).slice(0, top),
+    warnings,
+  };
+}
 
-          case TOOLS.GET_ELEMENT: {
-            const element = await queryElement(args.selector);
-            const { action, attributeName, styleName, propertyName } = args;
-
-            let result;
-            switch (action) {
-              case "text": result = await callWithTimeout(() => element.text()); break;
-              case "wxml": result = await callWithTimeout(() => element.wxml()); break;
-              case "outerWxml": result = await callWithTimeout(() => element.outerWxml()); break;
-              case "attribute": result = await callWithTimeout(() => element.attribute(attributeName)); break;
-              case "style": result = await callWithTimeout(() => element.style(styleName)); break;
-              case "value": result = await callWithTimeout(() => element.value()); break;
-              case "property": result = await callWithTimeout(() => element.property(propertyName)); break;
-              default:
-                return { isError: true, content: [{ type: "text", text: `Unknown action: ${action}` }] };
-            }
-
-            return { content: [{ type: "text", text: stringifyResult(result) }] };
-          }
+function formatBytes(bytes) {
+  if (Math.abs(bytes) >= MB) return `${(bytes / MB).toFixed(2)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
 
-          case TOOLS.GET_ELEMENT_SIZE: {
-            const element = await queryElement(args.selector);
-            const size = await callWithTimeout(() => element.size());
-            return { content: [{ type: "text", text: JSON.stringify(size, null, 2) }] };
-          }
+function comparePackageSize(current, baseline) {
+  const sizes = report => Object.fromEntries(report.packages.map(pkg => [pkg.name, pkg.size]));
+  const before = sizes(baseline);
+  const after = sizes(current);
+  const packages = [...new Set([...Object.keys(before), ...Object.keys(after)])].map(name => ({
+    name,
+    before: before[name] ?? null,
+    after: after[name] ?? null,
+    delta: (after[name] || 0) - (before[name] || 0),
+  }));
+  return { savedAt: baseline.savedAt, totalDelta: current.total - baseline.total, packages };
+}
 
-          case TOOLS.GET_ELEMENT_OFFSET: {
-            const element = await queryElement(args.selector);
-            const offset = await callWithTimeout(() => element.offset());
-            return { content: [{ type: "text", text: JSON.stringify(offset, null, 2) }] };
-          }
+defineTool(TOOLS.ANALYZE_PACKAGE_SIZE,
+  "Measure the main package and each subPackage from the source files (honoring project.config.json packOptions.ignore and skipping cloudfunctionRoot / pluginRoot), broken down by file type and miniprogram_npm dependency. Warns against the 2MB main / 2MB per-subpackage / 20MB total limits and compares with a saved baseline. Sizes are before compilation; 'preview' / 'upload' report the built size.",
+  analyzePackageSizeSchema,
+  async (args, session) => {
+    const projectPath = args.projectPath || session.projectPath;
+    const report = analyzePackageSize(projectPath, args);
+    const baselineFile = name => path.join(getProjectArtifactDir(projectPath, PACKAGE_SIZE_DIR, 'package size baselines', name), `${name}.json`);
 
-          case TOOLS.TAP_ELEMENT: {
-            const element = await queryElement(args.selector);
-            await callWithTimeout(() => element.tap());
-            return { content: [{ type: "text", text: `Tapped: ${args.selector}` }] };
-          }
+    if (args.baseline) {
+      const baseline = readJsonFile(baselineFile(args.baseline));
+      if (!baseline) {
+        return { isError: true, content: [{ type: "text", text: `Baseline "${args.baseline}" not found. Save one with 'saveBaseline'.` }] };
+      }
+      report.comparison = comparePackageSize(report, baseline);
+    }
+    if (args.saveBaseline) {
+      const file = baselineFile(args.saveBaseline);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const { largestFiles, warnings, comparison, ...saved } = report;
+      fs.writeFileSync(file, JSON.stringify({ savedAt: new Date().toISOString(), ...saved }, null, 2));
+      report.savedBaseline = file;
+    }
+    return {
+      isError: report.warnings.some(warning => warning.severity === 'error'),
+      content: [{ type: "text", text: JSON.stringify(report, null, 2) }],
+    };
+  },
+  { requiresConnection: false }
+);
 
-          case TOOLS.LONGPRESS_ELEMENT: {
-            const element = await queryElement(args.selector);
-            await callWithTimeout(() => element.longpress());
-            return { content: [{ type: "text", text: `Long-pressed: ${args.selector}` }] };
-          }
+function toQueryString(query) {
+  if (!query) return '';
+  if (typeof query === 'string') return query.replace(/^\?/, '');
+  return new URLSearchParams(Object.entries(query).map(([key, value]) =>
+    [key, typeof value === 'string' ? value : JSON.stringify(value)])).toString();
+}
 
-          case TOOLS.INPUT_TEXT: {
-            const element = await queryElement(args.selector);
-            await callWithTimeout(() => element.input(args.value || ""));
-            return { content: [{ type: "text", text: `Input "${args.value}" into ${args.selector}` }] };
-          }
+// Visits one route and collects what went wrong while it loaded
+async function crawlPage(session, { route, tabBar, query, settle, timeout, screenshotPath, maxWidth }) {
+  const report = { route, method: tabBar ? 'switchTab' : 'reLaunch' };
+  const queryString = toQueryString(query);
+  if (queryString) {
+    if (tabBar) report.note = 'Query fixtures are ignored for tabBar pages (switchTab drops them)';
+    else report.query = queryString;
+  }
+  const startTime = Date.now();
+  try {
+    const url = `/${route}${queryString && !tabBar ? `?${queryString}` : ''}`;
+    // The automator waits a fixed 3s after every route change before resolving
+    await callWithTimeout(() => (tabBar ? session.miniProgram.switchTab(url) : session.miniProgram.reLaunch(url)), timeout + 3000);
+    const ready = await pollUntil(async () => {
+      const page = await callWithTimeout(() => session.miniProgram.currentPage());
+      return { done: !!page && page.path === route, value: page && page.path };
+    }, { timeout, interval: 300 });
+    report.loadTimeMs = Date.now() - startTime;
+    if (!ready.done) {
+      report.status = 'failed';
+      report.error = `Page did not become current within ${timeout}ms (current: ${ready.value || 'none'})`;
+    }
+    await sleep(settle);
+    if (screenshotPath && report.status !== 'failed') {
+      const shot = await captureScreenshot(session, { maxWidth });
+      fs.writeFileSync(screenshotPath, Buffer.from(shot.data, 'base64'));
+      report.screenshot = screenshotPath;
+    }
+  } catch (e) {
+    report.status = 'failed';
+    report.error = e.message;
+  }
+  report.errors = session.consoleLogs
+    .filter(log => log.timestamp >= startTime && (log.level === 'error' || log.type === 'exception'))
+    .map(log => ({ type: log.type, text: log.text, stack: log.stack }));
+  report.networkFailures = session.networkRequests
+    .filter(entry => entry.startTime >= startTime && isFailedNetworkRecord(entry))
+    .map(entry => ({ url: entry.url, method: entry.method, status: entry.status, error: entry.error }));
+  if (!report.status) {
+    report.status = report.errors.length > 0 || report.networkFailures.length > 0 ? 'errors' : 'ok';
+  }
+  return report;
+}
 
-          case TOOLS.TRIGGER_EVENT: {
-            const element = await queryElement(args.selector);
-            await callWithTimeout(() => element.trigger(args.eventName, args.detail || {}));
-            return { content: [{ type: "text", text: `Triggered "${args.eventName}" on ${args.selector}` }] };
-          }
+defineTool(TOOLS.CRAWL_PAGES,
+  "Smoke-test the whole app: reLaunch (or switchTab for tabBar pages) into every page from app.json in turn, with optional query fixtures, wait until it is current, and report console errors, exceptions and failed requests raised while it loaded, plus a screenshot per page.",
+  crawlPagesSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const { queries = {}, settle, timeout, maxWidth } = args;
+    const { appJson } = readAppJson(session.projectPath);
+    const tabBarRoutes = ((appJson.tabBar && appJson.tabBar.list) || []).map(item => item.pagePath.replace(/^\//, ''));
+    const known = listPageRoutes(appJson).map(entry => entry.route);
+    const routes = (args.pages || known).map(route => route.replace(/^\//, ''));
+    const unknown = routes.filter(route => !known.includes(route));
+    if (unknown.length > 0) {
+      return { isError: true, content: [{ type: "text", text: `Not in app.json: ${unknown.join(', ')}` }] };
+    }
+    const screenshotDir = args.screenshot ? path.join(session.projectPath, CRAWL_DIR) : null;
+    if (screenshotDir) fs.mkdirSync(screenshotDir, { recursive: true });
+    // Reinstall the network inspector in case a recompile dropped it
+    try { await installNetworkHooks(session); } catch {}
 
-          case TOOLS.CALL_METHOD: {
-            const page = await getCurrentPage();
-            const { method, args: methodArgs } = args;
-            const result = await callWithTimeout(() => page.callMethod(method, ...(methodArgs || [])));
-            return { content: [{ type: "text", text: stringifyResult(result) }] };
-          }
+    const pages = [];
+    for (const route of routes) {
+      pages.push(await crawlPage(session, {
+        route,
+        tabBar: tabBarRoutes.includes(route),
+        query: queries[route] || queries[`/${route}`],
+        settle,
+        timeout,
+        maxWidth,
+        screenshotPath: screenshotDir && path.join(screenshotDir, `${route.replace(/\//g, '_')}.png`),
+      }));
+    }
+    const summary = {
+      total: pages.length,
+      ok: pages.filter(page => page.status === 'ok').length,
+      withErrors: pages.filter(page => page.status === 'errors').length,
+      failed: pages.filter(page => page.status === 'failed').length,
+    };
+    return {
+      isError: summary.ok < summary.total,
+      content: [{ type: "text", text: JSON.stringify({ summary, pages }, null, 2) }],
+    };
+  }
+);
 
-          case TOOLS.EVALUATE: {
-            const { script, args: scriptArgs } = args;
-            const fn = new Function(...(scriptArgs || []).map((_, i) => `arg${i}`), script);
-            const result = await callWithTimeout(() => miniProgram.evaluate(fn, ...(scriptArgs || [])));
-            return { content: [{ type: "text", text: stringifyResult(result) }] };
-          }
+defineTool(TOOLS.GET_NETWORK_REQUESTS,
+  "Get HTTP and WebSocket traffic captured from wx.request, wx.uploadFile, wx.downloadFile and wx.connectSocket: URL, method, status, timing, request/response bodies and failures. Filter by URL, method, status or failures.",
+  getNetworkRequestsSchema,
+  async (args, session) => {
+    const { url, method, status, api, failedOnly, includeBodies, limit } = args;
+    let reinstalled = false;
+    try {
+      reinstalled = await installNetworkHooks(session);
+    } catch {}
 
-          case TOOLS.CALL_CLOUD_FUNCTION: {
-            const { name: funcName, data, config } = args;
-            const result = await callWithTimeout(() => miniProgram.evaluate((n, d, c) => {
-              return wx.cloud.callFunction({ name: n, data: d, config: c })
-                .catch(err => ({ _isError: true, message: err.message, err }));
-            }, funcName, data, config), 30000);
-
-            if (result && result._isError) {
-              return { isError: true, content: [{ type: "text", text: `Cloud function failed: ${result.message}` }] };
-            }
-            return { content: [{ type: "text", text: stringifyResult(result) }] };
-          }
+    let urlMatches = () => true;
+    if (url) {
+      const regex = url.length > 2 && url.startsWith('/') && url.endsWith('/') ? new RegExp(url.slice(1, -1)) : null;
+      urlMatches = value => !!value && (regex ? regex.test(value) : value.includes(url));
+    }
+    const filtered = session.networkRequests.filter(entry =>
+      urlMatches(entry.url) &&
+      (!method || (entry.method || '').toUpperCase() === method.toUpperCase()) &&
+      (status === undefined || entry.status === status) &&
+      (!api || entry.api === api) &&
+      (!failedOnly || isFailedNetworkRecord(entry))
+    );
+    const requests = filtered.slice(-Math.min(limit, MAX_NETWORK_ENTRIES)).map(entry => {
+      if (includeBodies) return entry;
+      const { requestHeaders, requestBody, responseHeaders, responseBody, ...summary } = entry;
+      return summary;
+    });
+    const result = { total: session.networkRequests.length, matched: filtered.length, requests };
+    if (reinstalled) {
+      result.note = "Network hooks were (re)installed just now, e.g. after a recompile. Earlier requests may be missing.";
+    }
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  }
+);
 
-          case TOOLS.CALL_WX_METHOD: {
-            const { method, args: wxArgs } = args;
-            const result = await callWithTimeout(() => miniProgram.callWxMethod(method, ...(wxArgs || [])));
-            return { content: [{ type: "text", text: stringifyResult(result) }] };
-          }
+function summarizeNetworkMocks(session) {
+  return session.networkMocks.map(route => ({
+    url: route.url,
+    method: route.method,
+    apis: route.apis,
+    response: route.fail ? `fail: ${route.fail}` : route.status,
+    delay: route.delay,
+    source: route.source || undefined,
+  }));
+}
 
-          case TOOLS.MOCK_WX_METHOD: {
-            const { method, result: mockResult } = args;
-            await callWithTimeout(() => miniProgram.mockWxMethod(method, mockResult));
-            return { content: [{ type: "text", text: `Mocked wx.${method}()` }] };
-          }
+defineTool(TOOLS.MOCK_NETWORK_ROUTE,
+  "Mock network responses by URL/method pattern for wx.request, wx.uploadFile and wx.downloadFile: fixed status, headers, body, delay, or a failure. Register one route, or load route fixtures from a project directory. Requests that match no route go to the network.",
+  mockNetworkRouteSchema,
+  async (args, session) => {
+    const { fixturesDir, ...route } = args;
+    const added = fixturesDir ? loadNetworkFixtures(session, fixturesDir) : [normalizeNetworkRoute(session, route)];
+    // Register in reverse so the first fixture ends up with the highest priority
+    [...added].reverse().forEach(route => addNetworkMock(session, route));
+    await installNetworkHooks(session);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ added: added.length, activeRoutes: summarizeNetworkMocks(session) }, null, 2)
+      }]
+    };
+  }
+);
 
-          case TOOLS.RESTORE_WX_METHOD: {
-            const { method } = args;
-            await callWithTimeout(() => miniProgram.restoreWxMethod(method));
-            return { content: [{ type: "text", text: `Restored wx.${method}() to original.` }] };
-          }
+defineTool(TOOLS.CLEAR_NETWORK_MOCKS,
+  "Remove network mock routes registered with 'mock_network_route' (all, or those with a given URL pattern).",
+  clearNetworkMocksSchema,
+  async (args, session) => {
+    const before = session.networkMocks.length;
+    const kept = args.url ? session.networkMocks.filter(route => route.url !== args.url) : [];
+    session.networkMocks.splice(0, session.networkMocks.length, ...kept);
+    await installNetworkHooks(session);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ removed: before - session.networkMocks.length, activeRoutes: summarizeNetworkMocks(session) }, null, 2)
+      }]
+    };
+  }
+);
 
-          case TOOLS.GET_SYSTEM_INFO: {
-            const info = await callWithTimeout(() => miniProgram.systemInfo(), 15000);
-            return { content: [{ type: "text", text: stringifyResult(info) }] };
-          }
+defineTool(TOOLS.START_TRACE,
+  "Start tracing what the app does: page lifecycle (onLoad, onShow, onReady, onHide, onUnload...), component attached/detached, every setData (keys, payload size, render time), event handler calls and route changes. Pages already open are instrumented in place; pages and components registered later are traced from their first lifecycle hook. Read the timeline with 'get_trace'.",
+  startTraceSchema,
+  async (args, session) => {
+    await ensurePageTool(session);
+    const events = args.clear || !session.trace ? [] : session.trace.events;
+    session.trace = { active: true, startedAt: Date.now(), events };
+    const result = await installTraceHooks(session);
+    const pages = result && result.pages ? result.pages : [];
+    return { content: [{ type: "text", text: `Tracing started. Instrumented open pages: ${pages.join(', ') || '(none)'}` }] };
+  }
+);
 
-          case TOOLS.SCREENSHOT: {
-            const { path: screenshotPath } = args;
-            const options = screenshotPath ? { path: screenshotPath } : {};
-            const result = await callWithTimeout(() => miniProgram.screenshot(options), 30000);
-            return {
-              content: [{
-                type: "text",
-                text: screenshotPath
-                  ? `Screenshot saved to: ${screenshotPath}`
-                  : `Screenshot (base64, ${result.length} chars)`
-              }]
-            };
-          }
+defineTool(TOOLS.STOP_TRACE,
+  "Stop tracing. The recorded timeline stays available to 'get_trace' until the next 'start_trace'.",
+  z.object({}),
+  async (args, session) => {
+    if (!session.trace || !session.trace.active) {
+      return { content: [{ type: "text", text: "Tracing is not running." }] };
+    }
+    session.trace.active = false;
+    try { await installTraceHooks(session); } catch {}
+    return { content: [{ type: "text", text: `Tracing stopped with ${session.trace.events.length} events.` }] };
+  }
+);
 
-          case TOOLS.PAGE_SCROLL_TO: {
-            await ensurePageTool();
-            const { scrollTop, duration } = args;
-            if (duration) {
-              await callWithTimeout(() => miniProgram.evaluate((top, dur) => {
-                wx.pageScrollTo({ scrollTop: top, duration: dur });
-              }, scrollTop, duration));
-            } else {
-              await callWithTimeout(() => miniProgram.pageScrollTo(scrollTop));
-            }
-            return { content: [{ type: "text", text: `Scrolled to ${scrollTop}px` }] };
-          }
+function summarizeTrace(events) {
+  const setDataEvents = events.filter(event => event.kind === 'setData');
+  return {
+    lifecycle: events.filter(event => event.kind === 'lifecycle').length,
+    events: events.filter(event => event.kind === 'event').length,
+    routes: events.filter(event => event.kind === 'route').length,
+    setData: {
+      count: setDataEvents.length,
+      totalBytes: setDataEvents.reduce((sum, event) => sum + Math.max(0, event.size), 0),
+      largest: [...setDataEvents].sort((a, b) => b.size - a.size).slice(0, 5)
+        .map(({ target, keys, size, renderTime }) => ({ target, keys, size, renderTime })),
+    },
+  };
+}
 
-          case TOOLS.WAIT_FOR: {
-            const page = await getCurrentPage();
-            const { selector, timeout } = args;
-            if (selector) {
-              await callWithTimeout(() => page.waitFor(selector, timeout), (timeout || 5000) + 2000);
-              return { content: [{ type: "text", text: `Waited for: ${selector}` }] };
-            }
-            return { isError: true, content: [{ type: "text", text: "'selector' is required for wait_for." }] };
-          }
+defineTool(TOOLS.GET_TRACE,
+  "Get the timeline recorded since 'start_trace': lifecycle hooks, setData calls, event handlers and route changes in order, with times relative to the trace start, plus a summary (counts, setData bytes, largest setData payloads).",
+  getTraceSchema,
+  async (args, session) => {
+    const trace = session.trace;
+    if (!trace) {
+      return { isError: true, content: [{ type: "text", text: "No trace recorded. Use 'start_trace' first." }] };
+    }
+    let reinstalled = false;
+    if (trace.active) {
+      try {
+        const result = await installTraceHooks(session);
+        reinstalled = !!(result && result.hooked);
+      } catch {}
+    }
 
-          case TOOLS.WAIT_READY: {
-            const { timeout } = args;
-            if (projectType === null) {
-              projectType = await detectProjectType(miniProgram);
-            }
-            if (projectType === PROJECT_TYPE_GAME) {
-              return { content: [{ type: "text", text: "Mini-game is loaded. Use 'game_get_info', 'evaluate', 'call_wx_method', 'screenshot' for interaction." }] };
-            }
-            const readyResult = await waitMiniProgramReady(miniProgram, timeout || 60000);
-            if (readyResult) {
-              if (readyResult.game) {
-                return { content: [{ type: "text", text: "Mini-game is loaded. Use game_* tools." }] };
-              }
-              return { content: [{ type: "text", text: `Mini-program is ready, current page: ${readyResult.path}` }] };
-            }
-            return { isError: true, content: [{ type: "text", text: `Mini-program not ready after ${timeout || 60000}ms. Check DevTools for compilation errors.` }] };
-          }
+    const { kind, target, since, limit } = args;
+    const timeline = trace.events
+      .map(({ id, ...event }) => ({ t: event.start - trace.startedAt, ...event }))
+      .sort((a, b) => a.t - b.t)
+      .filter(event =>
+        (!kind || kind.includes(event.kind)) &&
+        (!target || String(event.target).includes(target)) &&
+        (since === undefined || event.t >= since)
+      );
+    const result = {
+      active: trace.active,
+      startedAt: new Date(trace.startedAt).toISOString(),
+      total: trace.events.length,
+      matched: timeline.length,
+      summary: summarizeTrace(timeline),
+      events: timeline.slice(-limit).map(({ start, ...event }) => event),
+    };
+    if (reinstalled) {
+      result.note = "Trace hooks were reinstalled just now, e.g. after a recompile. Events in between are missing.";
+    }
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  }
+);
 
-          case TOOLS.GET_CONSOLE_LOGS: {
-            let { level, limit } = args;
-            if (!limit || limit > MAX_LOG_ENTRIES) limit = MAX_LOG_ENTRIES;
-            let filtered = consoleLogs;
-            if (level && level !== 'all') {
-              filtered = filtered.filter(log => log.level === level);
-            }
-            const logs = filtered.slice(-limit).map(log => {
-              const time = new Date(log.timestamp).toLocaleTimeString();
-              const prefix = log.type === 'exception' ? '[EXCEPTION]' : `[${log.level.toUpperCase()}]`;
-              return `${prefix} [${time}] ${log.text}`;
-            });
-            return { content: [{ type: "text", text: logs.length > 0 ? logs.join('\n') : "No console logs." }] };
-          }
+// One row per page visit: navigation (route/appLaunch) and render entries share a pageId
+function summarizePageTimings(entries, thresholds) {
+  const visits = new Map();
+  for (const entry of entries) {
+    if (entry.entryType !== 'navigation' && entry.entryType !== 'render') continue;
+    const key = entry.pageId || entry.path || entry.name;
+    if (!visits.has(key)) visits.set(key, { path: entry.path });
+    const visit = visits.get(key);
+    if (!visit.path && entry.path) visit.path = entry.path;
+    if (entry.entryType === 'navigation') {
+      visit.navigation = entry.name;
+      visit.ready = entry.duration;
+    } else {
+      visit[entry.name] = entry.duration;
+    }
+  }
+  return [...visits.values()].map(visit => {
+    const issues = [];
+    if (visit.firstRender > thresholds.firstRender) issues.push(`firstRender ${visit.firstRender}ms > ${thresholds.firstRender}ms`);
+    if (visit.ready > thresholds.ready) issues.push(`${visit.navigation} ${visit.ready}ms > ${thresholds.ready}ms`);
+    return { ...visit, status: issues.length > 0 ? 'slow' : 'ok', issues };
+  });
+}
 
-          case TOOLS.GAME_GET_INFO: {
-            const sysInfo = await callWithTimeout(() => miniProgram.systemInfo(), 15000);
-            let perfInfo = {};
-            try {
-              perfInfo = await callWithTimeout(() => miniProgram.evaluate(() => {
-                const perf = wx.getPerformance ? wx.getPerformance() : null;
-                return {
-                  renderer: wx.getSystemInfoSync ? wx.getSystemInfoSync().renderer : 'unknown',
-                  SDKVersion: wx.getSystemInfoSync ? wx.getSystemInfoSync().SDKVersion : 'unknown',
-                  hasGetPerformance: !!wx.getPerformance,
-                };
-              }), 10000);
-            } catch {}
-            return { content: [{ type: "text", text: JSON.stringify({ systemInfo: sysInfo, performance: perfInfo }, null, 2) }] };
-          }
+function summarizeProfile(data, thresholds) {
+  // Entries use epoch ms on most base libraries (negative t: started before profiling); keep other clocks as-is
+  const relative = time => (time > 1e12 ? time - data.startedAt : time);
+  const entries = data.entries.map(({ entryType, name, path, pageId, startTime, duration, moduleName, packageName }) =>
+    ({ entryType, name, path, pageId, t: relative(startTime), duration, moduleName, packageName }));
+  const pages = summarizePageTimings(entries, thresholds);
 
-          case TOOLS.GAME_GET_USER_INFO: {
-            const userInfo = await callWithTimeout(() => miniProgram.evaluate(() => {
-              return new Promise(resolve => {
-                if (wx.getUserProfile) {
-                  wx.getUserProfile({ desc: '用于调试', success: resolve, fail: () => resolve({ _error: 'getUserProfile failed' }) });
-                } else if (wx.getUserInfo) {
-                  wx.getUserInfo({ success: resolve, fail: () => resolve({ _error: 'getUserInfo failed' }) });
-                } else {
-                  resolve({ _error: 'No getUserInfo or getUserProfile available' });
-                }
-              });
-            }), 30000);
-            if (userInfo && userInfo._error) {
-              return { isError: true, content: [{ type: "text", text: userInfo._error }] };
-            }
-            return { content: [{ type: "text", text: JSON.stringify(userInfo, null, 2) }] };
-          }
+  const calls = data.setData;
+  const timed = calls.filter(call => call.time !== undefined);
+  const slow = timed.filter(call => call.time > thresholds.setDataTime);
+  const large = calls.filter(call => call.size > thresholds.setDataBytes);
+  const describeCall = ({ page, keys, size, time, start }) => ({ t: start - data.startedAt, page, keys, size, time });
+  const byPage = {};
+  for (const call of calls) {
+    const stats = byPage[call.page] = byPage[call.page] || { count: 0, bytes: 0 };
+    stats.count++;
+    stats.bytes += Math.max(0, call.size);
+  }
+  const seconds = Math.max(1, data.endedAt - data.startedAt) / 1000;
+  const setData = {
+    count: calls.length,
+    perSecond: Number((calls.length / seconds).toFixed(1)),
+    totalBytes: calls.reduce((sum, call) => sum + Math.max(0, call.size), 0),
+    avgTime: timed.length ? Math.round(timed.reduce((sum, call) => sum + call.time, 0) / timed.length) : null,
+    maxTime: timed.length ? Math.max(...timed.map(call => call.time)) : null,
+    byPage,
+    slowest: [...timed].sort((a, b) => b.time - a.time).slice(0, 5).map(describeCall),
+    largest: [...calls].sort((a, b) => b.size - a.size).slice(0, 5).map(describeCall),
+  };
 
-          case TOOLS.GAME_GET_OPEN_DATA_CONTEXT: {
-            const data = await callWithTimeout(() => miniProgram.evaluate(() => {
-              try {
-                const sharedCanvas = wx.getOpenDataContext ? wx.getOpenDataContext() : null;
-                if (!sharedCanvas) return { _error: 'wx.getOpenDataContext not available or not in open context' };
-                return {
-                  hasOpenDataContext: true,
-                  text: typeof sharedCanvas.postMessage === 'function' ? 'postMessage available' : 'no postMessage',
-                };
-              } catch (e) {
-                return { _error: e.message };
-              }
-            }), 10000);
-            if (data && data._error) {
-              return { isError: true, content: [{ type: "text", text: `Open data context: ${data._error}` }] };
-            }
-            return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
-          }
+  let memory = null;
+  if (data.memory.length > 0) {
+    const used = data.memory.map(sample => sample.used);
+    memory = {
+      samples: data.memory.length,
+      start: formatBytes(used[0]),
+      end: formatBytes(used[used.length - 1]),
+      peak: formatBytes(Math.max(...used)),
+      growth: formatBytes(used[used.length - 1] - used[0]),
+      limit: data.memory[0].limit ? formatBytes(data.memory[0].limit) : undefined,
+    };
+  }
 
-          case TOOLS.GAME_GET_CLOUD_STORAGE: {
-            const { keys } = args;
-            const data = await callWithTimeout(() => miniProgram.evaluate((k) => {
-              return new Promise(resolve => {
-                wx.getCloudStorageByKeys({
-                  keyList: k,
-                  success: resolve,
-                  fail: () => resolve({ _error: 'getCloudStorageByKeys failed. Ensure cloud is enabled.' }),
-                });
-              });
-            }, keys), 15000);
-            if (data && data._error) {
-              return { isError: true, content: [{ type: "text", text: data._error }] };
-            }
-            return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
-          }
+  const problems = [];
+  pages.filter(page => page.status === 'slow').forEach(page => problems.push(`${page.path}: ${page.issues.join(', ')}`));
+  if (slow.length > 0) problems.push(`${slow.length} setData call(s) took longer than ${thresholds.setDataTime}ms to render`);
+  if (large.length > 0) problems.push(`${large.length} setData call(s) sent more than ${formatBytes(thresholds.setDataBytes)}`);
+  if (data.memoryWarnings.length > 0) problems.push(`${data.memoryWarnings.length} memory warning(s)`);
 
-          case TOOLS.BUILD_NPM: {
-            const { projectPath, cliPath } = args;
-            const targetProject = projectPath || connectedProjectPath;
-            if (!targetProject) {
-              return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
-            }
-            const output = await executeCli(['build-npm', '--project', targetProject], cliPath);
-            return { content: [{ type: "text", text: `NPM build successful:\n${output}` }] };
-          }
+  const report = {
+    passed: problems.length === 0,
+    duration: data.endedAt - data.startedAt,
+    thresholds,
+    problems,
+    pages,
+    setData,
+    memory,
+    memoryWarnings: data.memoryWarnings.map(({ t, level }) => ({ t: t - data.startedAt, level })),
+    routes: data.routes.map(({ t, ...route }) => ({ t: t - data.startedAt, ...route })),
+    entries,
+  };
+  if (!data.observer && entries.length === 0) {
+    report.note = "No performance entries: wx.getPerformance().createObserver is not available in this base library.";
+  }
+  return report;
+}
 
-          case TOOLS.CLOUD_FUNCTIONS_DEPLOY: {
-            const { env, names, remoteNpmInstall, projectPath, cliPath } = args;
-            const targetProject = projectPath || connectedProjectPath;
-            if (!targetProject) {
-              return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
-            }
-            const cliArgs = ['cloud', 'functions', 'deploy', '--project', targetProject, '--env', env, '--names', ...names];
-            if (remoteNpmInstall) cliArgs.push('--remote-npm-install');
-            const output = await executeCli(cliArgs, cliPath);
-            return { content: [{ type: "text", text: `Cloud functions deployed:\n${output}` }] };
-          }
+defineTool(TOOLS.PROFILE,
+  "Profile the app for a while: collects wx.getPerformance() observer entries (navigation, render, script, loadPackage), times every page setData from call to render callback and measures its payload, and samples JS heap memory. Reports per-page firstRender and ready (route/appLaunch) times against thresholds, plus the slowest and largest setData calls. Use 'url' or 'reload' to measure a page load. Works for mini-games too (entries and memory only).",
+  profileSchema,
+  async (args, session) => {
+    const { duration, url, reload, sampleInterval, thresholds } = args;
+    const isGame = session.projectType === PROJECT_TYPE_GAME;
+    if (isGame && (url || reload)) {
+      return { isError: true, content: [{ type: "text", text: "'url' and 'reload' need a mini-program with pages; mini-games can only be profiled in place." }] };
+    }
+    const mp = session.miniProgram;
+    let target = url;
+    if (reload && !target) {
+      const page = await getCurrentPage(session);
+      const queryString = toQueryString(page.query);
+      target = `/${page.path}${queryString ? `?${queryString}` : ''}`;
+    }
 
-          case TOOLS.CLOUD_FUNCTIONS_LIST: {
-            const { env, projectPath, cliPath } = args;
-            const targetProject = projectPath || connectedProjectPath;
-            if (!targetProject) {
-              return { isError: true, content: [{ type: "text", text: "Project path required. Connect first or provide projectPath." }] };
-            }
-            const output = await executeCli(['cloud', 'functions', 'list', '--project', targetProject, '--env', env], cliPath);
-            return { content: [{ type: "text", text: output }] };
-          }
+    const started = await callWithTimeout(() => mp.evaluate(profileHookScript, 'start', sampleInterval, MAX_PROFILE_RECORDS));
+    const startTime = Date.now();
+    let navigationError = null;
+    try {
+      if (target) await callWithTimeout(() => mp.reLaunch(target), AUTOMATOR_TIMEOUT + duration);
+      await sleep(Math.max(0, duration - (Date.now() - startTime)));
+    } catch (e) {
+      navigationError = e;
+    }
+    // Always collect, which also stops the observer and memory sampling
+    const data = await callWithTimeout(() => mp.evaluate(profileHookScript, 'collect', sampleInterval, MAX_PROFILE_RECORDS));
+    if (navigationError) throw navigationError;
+    if (!data) {
+      return { isError: true, content: [{ type: "text", text: "Profiling data was lost, e.g. the app recompiled or restarted. Try again." }] };
+    }
+    const report = summarizeProfile(data, thresholds);
+    if (target) report.reLaunched = target;
+    if (!started.memory) report.memoryNote = "wx.getPerformance() exposes no heap size here (usedJSHeapSize is only reported by some runtimes).";
+    return { content: [{ type: "text", text: JSON.stringify(report, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GAME_GET_INFO,
+  GAME_TOOL_DESCRIPTION.game_get_info,
+  gameGetInfoSchema,
+  async (args, session) => {
+    const sysInfo = await callWithTimeout(() => session.miniProgram.systemInfo(), 15000);
+    let perfInfo = {};
+    try {
+      perfInfo = await callWithTimeout(() => session.miniProgram.evaluate(() => {
+        const perf = wx.getPerformance ? wx.getPerformance() : null;
+        return {
+          renderer: wx.getSystemInfoSync ? wx.getSystemInfoSync().renderer : 'unknown',
+          SDKVersion: wx.getSystemInfoSync ? wx.getSystemInfoSync().SDKVersion : 'unknown',
+          hasGetPerformance: !!wx.getPerformance,
+        };
+      }), 10000);
+    } catch {}
+    return { content: [{ type: "text", text: JSON.stringify({ systemInfo: sysInfo, performance: perfInfo }, null, 2) }] };
+  }
+);
 
-          default:
-            return { isError: true, content: [{ type: "text", text: `Unknown tool: ${name}` }] };
+defineTool(TOOLS.GAME_GET_USER_INFO,
+  GAME_TOOL_DESCRIPTION.game_get_user_info,
+  gameGetUserInfoSchema,
+  async (args, session) => {
+    const userInfo = await callWithTimeout(() => session.miniProgram.evaluate(() => {
+      return new Promise(resolve => {
+        if (wx.getUserProfile) {
+          wx.getUserProfile({ desc: '用于调试', success: resolve, fail: () => resolve({ _error: 'getUserProfile failed' }) });
+        } else if (wx.getUserInfo) {
+          wx.getUserInfo({ success: resolve, fail: () => resolve({ _error: 'getUserInfo failed' }) });
+        } else {
+          resolve({ _error: 'No getUserInfo or getUserProfile available' });
         }
+      });
+    }), 30000);
+    if (userInfo && userInfo._error) {
+      return { isError: true, content: [{ type: "text", text: userInfo._error }] };
+    }
+    return { content: [{ type: "text", text: JSON.stringify(userInfo, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GAME_GET_OPEN_DATA_CONTEXT,
+  GAME_TOOL_DESCRIPTION.game_get_open_data_context,
+  gameGetOpenDataContextSchema,
+  async (args, session) => {
+    const data = await callWithTimeout(() => session.miniProgram.evaluate(() => {
+      try {
+        const sharedCanvas = wx.getOpenDataContext ? wx.getOpenDataContext() : null;
+        if (!sharedCanvas) return { _error: 'wx.getOpenDataContext not available or not in open context' };
+        return {
+          hasOpenDataContext: true,
+          text: typeof sharedCanvas.postMessage === 'function' ? 'postMessage available' : 'no postMessage',
+        };
+      } catch (e) {
+        return { _error: e.message };
+      }
+    }), 10000);
+    if (data && data._error) {
+      return { isError: true, content: [{ type: "text", text: `Open data context: ${data._error}` }] };
+    }
+    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.GAME_GET_CLOUD_STORAGE,
+  GAME_TOOL_DESCRIPTION.game_get_cloud_storage,
+  gameGetCloudStorageSchema,
+  async (args, session) => {
+    const { keys } = args;
+    const data = await callWithTimeout(() => session.miniProgram.evaluate((k) => {
+      return new Promise(resolve => {
+        wx.getCloudStorageByKeys({
+          keyList: k,
+          success: resolve,
+          fail: () => resolve({ _error: 'getCloudStorageByKeys failed. Ensure cloud is enabled.' }),
+        });
+      });
+    }, keys), 15000);
+    if (data && data._error) {
+      return { isError: true, content: [{ type: "text", text: data._error }] };
+    }
+    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  }
+);
+
+function resultText(result) {
+  return (result.content || [])
+    .filter(item => item.type === "text")
+    .map(item => item.text)
+    .join('\n');
+}
+
+function parseMaybeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+const SPEC_TEXT_ACTIONS = ["text", "wxml", "outerWxml", "attribute", "style"];
+
+// JSON has no undefined, so an undefined result (e.g. a missing data path) is kept as a flag
+function recordedExpectation(value) {
+  return value === undefined ? { undefined: true } : { value };
+}
+
+const hasRecordedValue = expected => 'value' in expected || expected.undefined === true;
+
+// Value an assertion step returned. Scenarios recorded before `expected.value` existed only
+// have the text: JSON results are parsed back, and a null text result reads "null".
+function expectedValue(expected, { json = false } = {}) {
+  if (expected.undefined) return undefined;
+  if ('value' in expected) return expected.value;
+  if (json) return parseMaybeJson(expected.text);
+  return expected.text === 'null' ? null : expected.text;
+}
+
+function specLiteral(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const specExpected = value => (value === undefined ? 'undefined' : specLiteral(value));
+
+// Translates one recorded step into miniprogram-automator calls
+function specElement(a) {
+  return `(await $(${specLiteral(a.selector)}${a.index !== undefined ? `, ${a.index}` : ""}))`;
+}
+
+function specStepLines(step) {
+  const a = step.args;
+  if (step.expected.isError) {
+    return [`// Skipped ${step.tool}: it failed during the session (${step.expected.text.split('\n')[0]})`];
+  }
+  switch (step.tool) {
+    case TOOLS.NAVIGATE_TO:
+      return [`await miniProgram.${a.method || "reLaunch"}(${specLiteral(a.url)});`];
+    case TOOLS.NAVIGATE_BACK:
+      if ((a.delta || 1) === 1) return [`await miniProgram.navigateBack();`];
+      return [
+        `await miniProgram.callWxMethod("navigateBack", { delta: ${a.delta} });`,
+        `await new Promise(resolve => setTimeout(resolve, ${ROUTE_SETTLE_MS}));`,
+      ];
+    case TOOLS.TAP_ELEMENT:
+      return [`await ${specElement(a)}.tap();`];
+    case TOOLS.LONGPRESS_ELEMENT:
+      return [`await ${specElement(a)}.longpress();`];
+    case TOOLS.PAGE_SCROLL_TO:
+      if (a.selector) return [`await ${specElement(a)}.scrollTo(${a.scrollLeft || 0}, ${a.scrollTop});`];
+      return [`await miniProgram.pageScrollTo(${a.scrollTop});`];
+    case TOOLS.INPUT_TEXT:
+      return [`await ${specElement(a)}.input(${specLiteral(a.value)});`];
+    case TOOLS.TRIGGER_EVENT:
+      return [`await ${specElement(a)}.trigger(${specLiteral(a.eventName)}, ${specLiteral(a.detail || {})});`];
+    case TOOLS.SET_PAGE_DATA:
+      return [`await (await currentPage()).setData(${specLiteral(a.data)});`];
+    case TOOLS.MOCK_WX_METHOD:
+      if (a.fail || a.sequence || a.cases) {
+        return [`// Not exported: mock of wx.${a.method} uses fail/sequence/cases, which miniProgram.mockWxMethod cannot express`];
+      }
+      return [`await miniProgram.mockWxMethod(${specLiteral(a.method)}, ${specLiteral(a.result)});`];
+    case TOOLS.GET_PAGE_DATA: {
+      const call = a.path ? `(await currentPage()).data(${specLiteral(a.path)})` : `(await currentPage()).data()`;
+      return [`expect(await ${call}).toEqual(${specExpected(expectedValue(step.expected, { json: true }))});`];
+    }
+    case TOOLS.GET_ELEMENT: {
+      const action = a.action || "text";
+      const argName = { attribute: a.attributeName, style: a.styleName, property: a.propertyName }[action];
+      const call = `${specElement(a)}.${action}(${argName !== undefined ? specLiteral(argName) : ""})`;
+      if (SPEC_TEXT_ACTIONS.includes(action)) {
+        return [`expect(await ${call}).toBe(${specExpected(expectedValue(step.expected))});`];
+      }
+      return [`expect(await ${call}).toEqual(${specExpected(expectedValue(step.expected, { json: true }))});`];
+    }
+    case TOOLS.SWIPE:
+    case TOOLS.DRAG:
+    case TOOLS.TOUCH_SEQUENCE:
+    case TOOLS.FILL_FORM:
+    case TOOLS.SCROLL_INTO_VIEW:
+      return [`// Not exported: ${step.tool} ${specLiteral(a)} measures elements at run time; 'replay_scenario' runs it`];
+    default:
+      return [`// Unsupported step: ${step.tool}`];
+  }
+}
+
+function generateSpec(name, steps, { mode, projectPath }) {
+  const connectLines = mode === "launch"
+    ? [
+      `    miniProgram = await automator.launch({`,
+      `      projectPath: process.env.WECHAT_PROJECT_PATH || ${specLiteral(projectPath)},`,
+      `      cliPath: process.env.WECHAT_CLI_PATH,`,
+      `    });`,
+    ]
+    : [
+      `    miniProgram = await automator.connect({`,
+      `      wsEndpoint: process.env.WECHAT_WS_ENDPOINT || ${specLiteral(`ws://localhost:${DEFAULT_PORT}`)},`,
+      `    });`,
+    ];
+  const body = steps.flatMap(step => specStepLines(step)).map(line => `    ${line}`);
+  return [
+    `// Generated by wechat-dev-mcp export_test on ${new Date().toISOString()}`,
+    `const automator = require('miniprogram-automator');`,
+    ``,
+    `describe(${specLiteral(name)}, () => {`,
+    `  let miniProgram;`,
+    ``,
+    `  async function currentPage() {`,
+    `    const page = await miniProgram.currentPage();`,
+    `    if (!page) throw new Error('No page is currently open');`,
+    `    return page;`,
+    `  }`,
+    ``,
+    `  async function $(selector, index) {`,
+    `    const page = await currentPage();`,
+    `    const element = index === undefined ? await page.$(selector) : (await page.$$(selector))[index];`,
+    `    if (!element) throw new Error(\`Element not found: \${selector}\`);`,
+    `    return element;`,
+    `  }`,
+    ``,
+    `  beforeAll(async () => {`,
+    ...connectLines,
+    `  }, 60000);`,
+    ``,
+    `  afterAll(async () => {`,
+    `    if (miniProgram) ${mode === "launch" ? "await miniProgram.close();" : "miniProgram.disconnect();"}`,
+    `  });`,
+    ``,
+    `  it(${specLiteral(name)}, async () => {`,
+    ...body,
+    `  }, ${Math.max(30000, steps.length * 5000)});`,
+    `});`,
+    ``,
+  ].join('\n');
+}
+
+function getScenarioPath(session, name) {
+  return path.join(getProjectArtifactDir(session.projectPath, SCENARIO_DIR, 'scenarios', name), `${name}.json`);
+}
+
+function recordStep(session, name, args, result) {
+  const tool = toolRegistry.get(name);
+  if (!tool || !tool.record) return;
+  // Calls rejected by validation never reached the mini-program
+  if (!tool.schema.safeParse(args || {}).success) return;
+  const step = {
+    tool: name,
+    kind: tool.record,
+    args: args || {},
+    expected: { isError: !!result.isError, text: resultText(result) },
+    timestamp: Date.now(),
+  };
+  if (RECORDED_VALUE in result) {
+    Object.assign(step.expected, recordedExpectation(result[RECORDED_VALUE]));
+  }
+  if (session.history.length >= MAX_HISTORY_STEPS) {
+    session.history.shift();
+  }
+  session.history.push(step);
+  if (session.recording) {
+    session.recording.steps.push(step);
+  }
+}
+
+async function replayStep(session, step) {
+  const result = await invokeTool(step.tool, step.args, session).catch(error => ({
+    isError: true,
+    content: [{ type: "text", text: error.message }],
+  }));
+  const actual = { isError: !!result.isError, text: resultText(result) };
+  let passed = actual.isError === step.expected.isError;
+  if (passed && step.kind === "assertion") {
+    passed = hasRecordedValue(step.expected) && RECORDED_VALUE in result
+      ? isDeepEqual(result[RECORDED_VALUE], expectedValue(step.expected))
+      : isDeepEqual(parseMaybeJson(actual.text), parseMaybeJson(step.expected.text));
+  }
+  return { passed, actual };
+}
+
+defineTool(TOOLS.START_RECORDING,
+  "Start recording page interactions (navigate_to, navigate_back, tap_element, longpress_element, input_text, fill_form, trigger_event, swipe, drag, touch_sequence, page_scroll_to, scroll_into_view, set_page_data, mock_wx_method) and their results. get_page_data / get_element calls are recorded as assertions. Other tools are not recorded. Each session records its own calls.",
+  startRecordingSchema,
+  async (args, session) => {
+    if (session.recording) {
+      return { isError: true, content: [{ type: "text", text: `Already recording "${session.recording.name}". Use 'stop_recording' first.` }] };
+    }
+    getScenarioPath(session, args.name);
+    session.recording = { name: args.name, startedAt: new Date().toISOString(), steps: [] };
+    return { content: [{ type: "text", text: `Recording scenario "${args.name}".` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.STOP_RECORDING,
+  "Stop recording and save the scenario as a JSON file that 'replay_scenario' can run.",
+  stopRecordingSchema,
+  async (args, session) => {
+    const recording = session.recording;
+    if (!recording) {
+      return { isError: true, content: [{ type: "text", text: "Not recording. Use 'start_recording' first." }] };
+    }
+    const scenarioPath = args.path || getScenarioPath(session, recording.name);
+    const scenario = {
+      name: recording.name,
+      version: 1,
+      projectPath: session.projectPath,
+      startedAt: recording.startedAt,
+      stoppedAt: new Date().toISOString(),
+      steps: recording.steps,
+    };
+    fs.mkdirSync(path.dirname(scenarioPath), { recursive: true });
+    fs.writeFileSync(scenarioPath, JSON.stringify(scenario, null, 2));
+    session.recording = null;
+    const assertions = scenario.steps.filter(step => step.kind === "assertion").length;
+    return { content: [{ type: "text", text: `Saved scenario "${scenario.name}" (${scenario.steps.length} steps, ${assertions} assertions) to: ${scenarioPath}` }] };
+  },
+  { requiresConnection: false }
+);
+
+defineTool(TOOLS.REPLAY_SCENARIO,
+  "Replay a recorded scenario against the current connection and report step-by-step pass/fail. Assertion steps compare get_page_data / get_element output with the recorded result.",
+  replayScenarioSchema,
+  async (args, session) => {
+    const scenarioPath = args.path || getScenarioPath(session, args.name);
+    if (!fs.existsSync(scenarioPath)) {
+      return { isError: true, content: [{ type: "text", text: `Scenario not found: ${scenarioPath}` }] };
+    }
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8'));
+    const steps = [];
+    let failed = false;
+    for (const [index, step] of (scenario.steps || []).entries()) {
+      if (failed && args.stopOnFailure) {
+        steps.push({ index, tool: step.tool, kind: step.kind, status: "skipped" });
+        continue;
+      }
+      const { passed, actual } = await replayStep(session, step);
+      const report = { index, tool: step.tool, kind: step.kind, args: step.args, status: passed ? "passed" : "failed" };
+      if (!passed) {
+        report.expected = step.expected;
+        report.actual = actual;
+        failed = true;
+      }
+      steps.push(report);
+    }
+    const summary = {
+      scenario: scenario.name,
+      passed: !failed,
+      total: steps.length,
+      passedSteps: steps.filter(step => step.status === "passed").length,
+      failedSteps: steps.filter(step => step.status === "failed").length,
+      skippedSteps: steps.filter(step => step.status === "skipped").length,
+      steps,
+    };
+    return { isError: failed, content: [{ type: "text", text: JSON.stringify(summary, null, 2) }] };
+  }
+);
+
+defineTool(TOOLS.EXPORT_TEST,
+  "Export the current session's page interactions and get_page_data / get_element checks (or a saved scenario) as a standalone miniprogram-automator Jest test (.spec.js) that CI can run without an MCP client. swipe, drag, touch_sequence, fill_form and scroll_into_view steps have no single automator call and are exported as comments; 'replay_scenario' runs them.",
+  exportTestSchema,
+  async (args, session) => {
+    const { name: testName, scenario, lastSteps, mode } = args;
+    let steps = session.history;
+    if (scenario) {
+      const scenarioPath = getScenarioPath(session, scenario);
+      if (!fs.existsSync(scenarioPath)) {
+        return { isError: true, content: [{ type: "text", text: `Scenario not found: ${scenarioPath}` }] };
       }
+      steps = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8')).steps || [];
+    }
+    if (lastSteps) {
+      steps = steps.slice(-lastSteps);
+    }
+    if (steps.length === 0) {
+      return { isError: true, content: [{ type: "text", text: "No steps to export. Interact with the page first (navigate_to, tap_element, get_page_data, ...)." }] };
     }
+    const specPath = args.path || path.join(getProjectArtifactDir(session.projectPath, 'e2e', 'test export', testName), `${testName}.spec.js`);
+    const source = generateSpec(testName, steps, { mode, projectPath: session.projectPath });
+    fs.mkdirSync(path.dirname(specPath), { recursive: true });
+    fs.writeFileSync(specPath, source);
+    const assertions = steps.filter(step => step.kind === "assertion" && !step.expected.isError).length;
+    return { content: [{ type: "text", text: `Exported ${steps.length} steps (${assertions} assertions) to: ${specPath}\n\n${source}` }] };
+  },
+  { requiresConnection: false }
+);
+
+// Every tool accepts `session`; it's handled by the dispatcher rather than each schema
+function withSessionArg(tool, jsonSchema) {
+  const description = tool.createsSession
+    ? "Name for the new session (defaults to the project folder name). Use it as 'session' in later calls."
+    : "Session id from 'launch' / 'connect' / 'list_sessions' (defaults to the most recently connected session)";
+  return {
+    ...jsonSchema,
+    properties: { ...jsonSchema.properties, session: { type: "string", description } },
+  };
+}
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: [...toolRegistry.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: withSessionArg(tool, zodToJsonSchema(tool.schema)),
+    })),
+  };
+});
+
+function formatValidationError(toolName, zodError) {
+  const issues = zodError.issues.map(issue => ({
+    field: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+    message: issue.message,
+  }));
+  return {
+    isError: true,
+    content: [{
+      type: "text",
+      text: JSON.stringify({ error: `Invalid arguments for ${toolName}`, issues }, null, 2)
+    }]
+  };
+}
+
+async function invokeTool(name, rawArgs, session, extra) {
+  const tool = toolRegistry.get(name);
+  if (!tool) {
+    return { isError: true, content: [{ type: "text", text: `Unknown tool: ${name}` }] };
+  }
+
+  const parsed = tool.schema.safeParse(rawArgs || {});
+  if (!parsed.success) {
+    return formatValidationError(name, parsed.error);
+  }
+
+  if (tool.requiresConnection) {
+    await ensureConnected(session);
+  }
+  try {
+    return await tool.handler(parsed.data, session, extra);
   } catch (error) {
-    return {
+    if (session.id) await checkConnectionLoss(session, error);
+    throw error;
+  }
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name } = request.params;
+  const { session: sessionId, ...args } = request.params.arguments || {};
+  let session = null;
+  let result;
+  try {
+    session = resolveSession(name, sessionId);
+    result = await invokeTool(name, args, session, extra);
+  } catch (error) {
+    result = {
       isError: true,
       content: [{ type: "text", text: error.message }],
     };
   }
+  if (session) {
+    recordStep(session, name, args, result);
+  }
+  return result;
+});
+
+// Resources read from the default session; append ?session=<id> to pick another one
+const APP_JSON_RESOURCE_URI = "wechat://project/app.json";
+const PAGES_RESOURCE_URI = "wechat://project/pages";
+const LOGS_RESOURCE_URI = "wechat://console/logs";
+const HEALTH_RESOURCE_URI = "wechat://session/health";
+const resourceSubscriptions = new Set();
+
+const RESOURCES = [
+  {
+    uri: APP_JSON_RESOURCE_URI,
+    name: "app.json",
+    description: "The project's app.json (pages, subPackages, tabBar, window, usingComponents).",
+    mimeType: "application/json",
+    read: session => readAppJson(session.projectPath).appJson,
+  },
+  {
+    uri: PAGES_RESOURCE_URI,
+    name: "Pages",
+    description: "Every page route from app.json, main package and subPackages, with its page .json config.",
+    mimeType: "application/json",
+    read: session => {
+      const { root, appJson } = readAppJson(session.projectPath);
+      const entryPage = appJson.entryPagePath || (appJson.pages || [])[0];
+      return listPageRoutes(appJson).map(({ route, subPackage }) => ({
+        path: route,
+        subPackage,
+        entry: route === entryPage || undefined,
+        config: readJsonFile(path.join(root, `${route}.json`)),
+      }));
+    },
+  },
+  {
+    uri: LOGS_RESOURCE_URI,
+    name: "Console logs",
+    description: "Console output and exceptions captured from the mini-program. Subscribe to get notified when new errors arrive.",
+    mimeType: "application/json",
+    read: session => session.consoleLogs,
+  },
+  {
+    uri: HEALTH_RESOURCE_URI,
+    name: "Session health",
+    description: "The same report as the 'check_health' tool.",
+    mimeType: "application/json",
+    read: async session => parseMaybeJson(resultText(await toolRegistry.get(TOOLS.CHECK_HEALTH).handler({}, session))),
+  },
+];
+
+function parseResourceUri(uri) {
+  const [base, query = ''] = uri.split('?');
+  const sessionId = new URLSearchParams(query).get('session');
+  return { base, sessionId };
+}
+
+function notifyResourceUpdated(session, resourceUri) {
+  for (const uri of resourceSubscriptions) {
+    const { base, sessionId } = parseResourceUri(uri);
+    if (base !== resourceUri) continue;
+    if (sessionId ? sessionId === session.id : session.id === defaultSessionId) {
+      server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return {
+    resources: RESOURCES.map(({ uri, name, description, mimeType }) => ({ uri, name, description, mimeType })),
+  };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const { base, sessionId } = parseResourceUri(uri);
+  const resource = RESOURCES.find(entry => entry.uri === base);
+  if (!resource) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  const session = resolveSession(null, sessionId);
+  const value = await resource.read(session);
+  return { contents: [{ uri, mimeType: resource.mimeType, text: JSON.stringify(value, null, 2) }] };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
 });
 
 async function main() {
@@ -1146,7 +5578,35 @@ async function main() {
   console.error("WeChat DevTools MCP Server v1.1.0 running on stdio");
 }
 
-main().catch((error) => {
-  console.error("Fatal error:", error);
-  process.exit(1);
-});
+// Internals covered by the offline tests in test/
+export {
+  getWindowTop,
+  startCliJob,
+  watchConnection,
+  parseWxml,
+  nodeSelector,
+  locateInPage,
+  createSession,
+  recordStep,
+  replayStep,
+  RECORDED_VALUE,
+  analyzeProjectStructure,
+  createPackIgnore,
+  analyzePackageSize,
+  runLocalInvoke,
+  normalizeFormValue,
+  parseFormField,
+  checkConnectionLoss,
+  exportTestSchema,
+  specStepLines,
+  generateSpec,
+};
+
+// Only start the stdio server when run as the binary (npm links it), not when imported
+const entryPoint = process.argv[1] ? fs.realpathSync(process.argv[1]) : null;
+if (entryPoint === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWxml, nodeSelector, locateInPage } from "../index.js";
+
+const PAGE_WXML = [
+  '<page>',
+  '<view class="header"><image class="icon" src="a.png"/><image class="icon" src="b.png"/></view>',
+  '<view id="list"><image class="icon" src="c.png"/><image class="icon" src="d.png"/></view>',
+  '</page>',
+].join('');
+const LIST_WXML = '<view id="list"><image class="icon" src="c.png"/><image class="icon" src="d.png"/></view>';
+const fakePage = wxml => ({ $: async () => ({ outerWxml: async () => wxml }) });
+
+test("findings in a selected subtree are indexed over the whole page", async () => {
+  const [subtree] = parseWxml(LIST_WXML);
+  const { node, pageNodes } = await locateInPage(fakePage(PAGE_WXML), subtree);
+  assert.equal(node.attributes.id, "list");
+  assert.deepEqual(nodeSelector(node.children[1], pageNodes), { selector: ".icon", index: 3 });
+  assert.deepEqual(nodeSelector(node, pageNodes), { selector: "#list" });
+});
+
+test("a subtree missing from the page WXML is reported", async () => {
+  const [subtree] = parseWxml('<view id="gone"></view>');
+  await assert.rejects(locateInPage(fakePage(PAGE_WXML), subtree), /page changed during the audit/);
+});
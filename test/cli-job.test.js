@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startCliJob } from "../index.js";
+
+const cli = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "cli", "ignore-sigterm.cjs");
+
+test("a timed-out job settles even when the CLI ignores SIGTERM", async () => {
+  const job = startCliJob([], cli, { timeout: 500 });
+  await assert.rejects(job.promise, /timed out after 500ms/);
+  assert.equal(job.status, "timedOut");
+  assert.deepEqual(job.lines.map(line => line.text), ["started", "ignoring SIGTERM"]);
+});
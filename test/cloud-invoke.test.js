@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { runLocalInvoke } from "../index.js";
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "cloud-functions");
+const invoke = (name, options = {}) => runLocalInvoke({
+  name,
+  entry: path.join(fixture, name, "index.js"),
+  event: {},
+  context: {},
+  mocks: {},
+  ...options,
+}, options.timeout || 10000);
+const tempScripts = () => fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(`wechat-mcp-invoke-${process.pid}-`));
+
+test("runs exports.main against the wx-server-sdk stub", async () => {
+  const output = await invoke("echo", {
+    event: { id: 1 },
+    context: { OPENID: "user-1" },
+    mocks: { "database.collection.where.get": { data: [{ title: "a" }] } },
+  });
+  assert.deepEqual(output.result, { openid: "user-1", event: { id: 1 }, todos: [{ title: "a" }] });
+  assert.deepEqual(output.calls.map(call => call.path), ["init", "database", "database.collection", "database.collection.where", "database.collection.where.get"]);
+  assert.deepEqual(output.logs, [{ level: "log", text: "todos 1" }]);
+  assert.deepEqual(tempScripts(), []);
+});
+
+test("output written by the function does not corrupt the result", async () => {
+  const output = await invoke("chatty", { event: { id: 1 } });
+  assert.deepEqual(output.result, { ok: true });
+  assert.deepEqual(output.logs[0], { level: "log", text: 'start {"id":1}' });
+  assert.deepEqual(output.logs.at(-1), { level: "stdout", text: "raw output" });
+  assert.deepEqual(tempScripts(), []);
+});
+
+test("reports a thrown error as output, not a rejection", async () => {
+  const output = await invoke("fail");
+  assert.equal(output.error, "boom");
+  assert.deepEqual(tempScripts(), []);
+});
+
+test("times out a function that never settles", async () => {
+  await assert.rejects(invoke("hang", { timeout: 500 }), /timed out after 500ms/);
+  assert.deepEqual(tempScripts(), []);
+});
+
+test("removes the temp script when the process cannot be spawned", async () => {
+  await assert.rejects(invoke("missing", { entry: path.join(fixture, "missing", "index.js") }), /ENOENT/);
+  assert.deepEqual(tempScripts(), []);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSession, checkConnectionLoss, watchConnection } from "../index.js";
+
+function sessionWithProbe() {
+  const session = createSession("s");
+  session.probes = 0;
+  session.miniProgram = { systemInfo: async () => { session.probes++; return {}; } };
+  return session;
+}
+
+test("ordinary timeouts do not probe the connection", async () => {
+  const session = sessionWithProbe();
+  for (const message of [
+    "Timed out after 5000ms waiting for .list",
+    "Automator call timed out after 10000ms",
+    "CLI execution timed out after 120000ms",
+  ]) {
+    await checkConnectionLoss(session, new Error(message));
+  }
+  assert.equal(session.probes, 0);
+  assert.equal(session.stale, false);
+});
+
+test("transport failures probe the connection", async () => {
+  const session = sessionWithProbe();
+  for (const message of [
+    "Connection closed, check if wechat web devTools is still running",
+    "WebSocket is not open: readyState 3 (CLOSED)",
+    "read ECONNRESET",
+  ]) {
+    await checkConnectionLoss(session, new Error(message));
+  }
+  assert.equal(session.probes, 3);
+  // The probe answered, so the session is kept
+  assert.equal(session.stale, false);
+});
+
+test("check_health probes on any error", async () => {
+  const session = sessionWithProbe();
+  await checkConnectionLoss(session, new Error("currentPage() timed out"), { anyError: true });
+  assert.equal(session.probes, 1);
+});
+
+test("without the automator's transport, a transport error still marks the session stale", async t => {
+  const log = t.mock.method(console, "error", () => {});
+  const session = createSession("u");
+  session.miniProgram = { systemInfo: () => Promise.reject(new Error("Connection closed")), disconnect() {} };
+
+  watchConnection(session);
+  assert.match(log.mock.calls[0].arguments[0], /connection loss is detected when a call fails/);
+
+  await checkConnectionLoss(session, new Error("Connection closed, check if wechat web devTools is still running"));
+  assert.equal(session.stale, true);
+  assert.equal(session.miniProgram, null);
+  // Let the background reconnect give up
+  session.stale = false;
+  assert.equal(await session.reconnecting, false);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportTestSchema, specStepLines, generateSpec } from "../index.js";
+
+const getElementStep = (args, expected) => ({ tool: "get_element", kind: "assertion", args, expected: { isError: false, ...expected } });
+
+test("lastSteps must be a positive integer", () => {
+  assert.equal(exportTestSchema.safeParse({ name: "t", lastSteps: 2 }).success, true);
+  for (const lastSteps of [0, -2, 1.5]) {
+    assert.equal(exportTestSchema.safeParse({ name: "t", lastSteps }).success, false, `lastSteps ${lastSteps}`);
+  }
+});
+
+test("text assertions keep a null result as null", () => {
+  const step = getElementStep({ selector: "#a", action: "attribute", attributeName: "data-id" }, { text: "null", value: null });
+  assert.deepEqual(specStepLines(step), ['expect(await (await $("#a")).attribute("data-id")).toBe(null);']);
+});
+
+test("text assertions keep the string \"null\" as a string", () => {
+  const step = getElementStep({ selector: "#a", action: "text" }, { text: "null", value: "null" });
+  assert.deepEqual(specStepLines(step), ['expect(await (await $("#a")).text()).toBe("null");']);
+});
+
+test("scenarios without a recorded value read \"null\" as null", () => {
+  const step = getElementStep({ selector: "#a", index: 2, action: "text" }, { text: "null" });
+  assert.deepEqual(specStepLines(step), ['expect(await (await $("#a", 2)).text()).toBe(null);']);
+});
+
+test("text with quotes and newlines is a valid literal", () => {
+  const text = 'Say "hi"\nnow';
+  const step = getElementStep({ selector: ".msg", action: "text" }, { text, value: text });
+  assert.deepEqual(specStepLines(step), [`expect(await (await $(".msg")).text()).toBe(${JSON.stringify(text)});`]);
+});
+
+test("value assertions keep the recorded type", () => {
+  const step = getElementStep({ selector: "input", action: "value" }, { text: "42", value: "42" });
+  assert.deepEqual(specStepLines(step), ['expect(await (await $("input")).value()).toEqual("42");']);
+  const checked = getElementStep({ selector: "switch", action: "property", propertyName: "checked" }, { text: "true", value: true });
+  assert.deepEqual(specStepLines(checked), ['expect(await (await $("switch")).property("checked")).toEqual(true);']);
+});
+
+test("value assertions without a recorded value parse the text", () => {
+  const step = getElementStep({ selector: "input", action: "value" }, { text: "42" });
+  assert.deepEqual(specStepLines(step), ['expect(await (await $("input")).value()).toEqual(42);']);
+});
+
+test("page data assertions keep strings and undefined", () => {
+  const pageData = (args, expected) => ({ tool: "get_page_data", kind: "assertion", args, expected: { isError: false, ...expected } });
+  assert.deepEqual(specStepLines(pageData({ path: "code" }, { text: "123", value: "123" })), ['expect(await (await currentPage()).data("code")).toEqual("123");']);
+  assert.deepEqual(specStepLines(pageData({ path: "missing" }, { text: "undefined", undefined: true })), ['expect(await (await currentPage()).data("missing")).toEqual(undefined);']);
+  assert.deepEqual(specStepLines(pageData({}, { text: '{"n":1}' })), ['expect(await (await currentPage()).data()).toEqual({"n":1});']);
+});
+
+test("failed steps are skipped with their error", () => {
+  const step = { tool: "tap_element", kind: "action", args: { selector: "#x" }, expected: { isError: true, text: "Element not found: #x\nmore" } };
+  assert.deepEqual(specStepLines(step), ["// Skipped tap_element: it failed during the session (Element not found: #x)"]);
+});
+
+test("generated spec is valid JavaScript", () => {
+  const source = generateSpec("login flow", [
+    { tool: "navigate_to", kind: "action", args: { url: "/pages/login/login" }, expected: { isError: false, text: "" } },
+    { tool: "input_text", kind: "action", args: { selector: "#user", value: "bob" }, expected: { isError: false, text: "" } },
+    getElementStep({ selector: "#user", action: "attribute", attributeName: "x" }, { text: "null", value: null }),
+  ], { mode: "launch", projectPath: "/tmp/app" });
+  assert.doesNotThrow(() => new Function("require", "describe", "it", "beforeAll", "afterAll", "expect", source));
+  assert.match(source, /await miniProgram\.reLaunch\("\/pages\/login\/login"\);/);
+  assert.match(source, /\.toBe\(null\);/);
+});
+
+test("navigation, long-press and scroll steps export as automator calls", () => {
+  const action = (tool, args) => ({ tool, kind: "action", args, expected: { isError: false, text: "" } });
+  assert.deepEqual(specStepLines(action("navigate_back", { delta: 1 })), ["await miniProgram.navigateBack();"]);
+  assert.deepEqual(specStepLines(action("navigate_back", { delta: 2 })), [
+    'await miniProgram.callWxMethod("navigateBack", { delta: 2 });',
+    "await new Promise(resolve => setTimeout(resolve, 3000));",
+  ]);
+  assert.deepEqual(specStepLines(action("longpress_element", { selector: ".cell", index: 1 })), ['await (await $(".cell", 1)).longpress();']);
+  assert.deepEqual(specStepLines(action("page_scroll_to", { scrollTop: 300 })), ["await miniProgram.pageScrollTo(300);"]);
+  assert.deepEqual(specStepLines(action("page_scroll_to", { selector: "#list", scrollTop: 120 })), ['await (await $("#list")).scrollTo(0, 120);']);
+});
+
+test("gesture and form steps are kept as comments instead of dropped", () => {
+  for (const tool of ["swipe", "drag", "touch_sequence", "fill_form", "scroll_into_view"]) {
+    const [line] = specStepLines({ tool, kind: "action", args: { selector: "#x" }, expected: { isError: false, text: "" } });
+    assert.match(line, new RegExp(`^// Not exported: ${tool} .*replay_scenario`));
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeFormValue, parseFormField } from "../index.js";
+
+test("input and textarea values become strings", () => {
+  assert.equal(normalizeFormValue("input", undefined, 42), "42");
+  assert.equal(normalizeFormValue("textarea", undefined, null), "");
+});
+
+test("picker values are checked per mode", () => {
+  assert.equal(normalizeFormValue("picker", "selector", 1), 1);
+  assert.equal(normalizeFormValue("picker", "selector", "Shanghai"), "Shanghai");
+  assert.throws(() => normalizeFormValue("picker", "selector", -1), /index >= 0/);
+  assert.deepEqual(normalizeFormValue("picker", "multiSelector", [0, 2]), [0, 2]);
+  assert.throws(() => normalizeFormValue("picker", "multiSelector", [0, -1]), /column indexes/);
+  assert.equal(normalizeFormValue("picker", "date", "2024-05-01"), "2024-05-01");
+  assert.equal(normalizeFormValue("picker", "date", "2024-05"), "2024-05");
+  assert.throws(() => normalizeFormValue("picker", "date", "05/01/2024"), /YYYY-MM-DD/);
+  assert.equal(normalizeFormValue("picker", "time", "09:30"), "09:30");
+  assert.throws(() => normalizeFormValue("picker", "time", "9:30"), /HH:mm/);
+  assert.deepEqual(normalizeFormValue("picker", "region", ["Guangdong", "Shenzhen", "Nanshan"]), ["Guangdong", "Shenzhen", "Nanshan"]);
+  assert.throws(() => normalizeFormValue("picker", "region", "Guangdong"), /province, city, district/);
+  assert.throws(() => normalizeFormValue("picker", "week", 1), /Unsupported picker mode "week"/);
+});
+
+test("slider, switch and picker-view reject the wrong type", () => {
+  assert.equal(normalizeFormValue("slider", undefined, 30), 30);
+  assert.throws(() => normalizeFormValue("slider", undefined, "30"), /number/);
+  assert.equal(normalizeFormValue("switch", undefined, false), false);
+  assert.throws(() => normalizeFormValue("switch", undefined, "on"), /true or false/);
+  assert.deepEqual(normalizeFormValue("picker-view", undefined, [1, 0]), [1, 0]);
+  assert.throws(() => normalizeFormValue("picker-view", undefined, 1), /column indexes/);
+});
+
+test("checkbox and radio groups take option values", () => {
+  assert.deepEqual(normalizeFormValue("checkbox-group", undefined, ["a", 2]), ["a", "2"]);
+  assert.deepEqual(normalizeFormValue("checkbox-group", undefined, "a"), ["a"]);
+  assert.equal(normalizeFormValue("radio-group", undefined, 3), "3");
+});
+
+test("other tags are not form controls", () => {
+  assert.throws(() => normalizeFormValue("my-picker", undefined, 1), /not a supported form component/);
+});
+
+test("fields may pick the Nth match with { value, index }", () => {
+  assert.deepEqual(parseFormField(".row", "bob"), { selector: ".row", value: "bob" });
+  assert.deepEqual(parseFormField(".row", ["a"]), { selector: ".row", value: ["a"] });
+  assert.deepEqual(parseFormField(".row", { value: "bob", index: 2 }), { selector: ".row", value: "bob", index: 2 });
+  assert.deepEqual(parseFormField(".row", { value: true }), { selector: ".row", value: true, index: undefined });
+  assert.throws(() => parseFormField(".row", { value: "bob", index: -1 }), /index must be an integer/);
+});
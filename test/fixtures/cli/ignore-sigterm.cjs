@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Stands in for a CLI that keeps running after SIGTERM
+process.on('SIGTERM', () => console.log('ignoring SIGTERM'));
+console.log('started');
+setInterval(() => {}, 1000);
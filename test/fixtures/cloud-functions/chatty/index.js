@@ -0,0 +1,6 @@
+exports.main = async (event) => {
+  console.log('start', event);
+  process.stdout.write('raw output\n');
+  console.table([{ a: 1 }]);
+  return { ok: true };
+};
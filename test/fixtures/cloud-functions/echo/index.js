@@ -0,0 +1,11 @@
+const cloud = require('wx-server-sdk');
+
+cloud.init({ env: cloud.DYNAMIC_CURRENT_ENV });
+const db = cloud.database();
+
+exports.main = async (event) => {
+  const { OPENID } = cloud.getWXContext();
+  const { data } = await db.collection('todos').where({ owner: OPENID }).get();
+  console.log('todos', data.length);
+  return { openid: OPENID, event, todos: data };
+};
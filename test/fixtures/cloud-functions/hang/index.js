@@ -0,0 +1 @@
+exports.main = () => new Promise(() => setInterval(() => {}, 1000));
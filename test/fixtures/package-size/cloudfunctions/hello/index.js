@@ -0,0 +1 @@
+exports.main = async () => ({ hello: "world", padded: "xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx" });
@@ -0,0 +1 @@
+scratch
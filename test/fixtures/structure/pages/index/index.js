@@ -0,0 +1,5 @@
+Page({
+  openDetail() {
+    wx.navigateTo({ url: '/pkg/pages/detail/detail?id=1' });
+  },
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzePackageSize, createPackIgnore } from "../index.js";
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "package-size");
+const report = analyzePackageSize(fixture, { warnRatio: 0.8, top: 20 });
+const sizeOf = (...files) => files.reduce((sum, file) => sum + fs.statSync(path.join(fixture, file)).size, 0);
+
+test("cloudfunctionRoot and pluginRoot are not packed into the main package", () => {
+  const files = report.largestFiles.map(entry => entry.file).sort();
+  assert.deepEqual(files, ["app.js", "app.json", "pages/index/index.js", "pages/index/index.wxml", "pkg/pages/list/list.js"]);
+});
+
+test("packages are sized from their own files", () => {
+  const sizes = Object.fromEntries(report.packages.map(pkg => [pkg.name, pkg.size]));
+  assert.deepEqual(sizes, {
+    main: sizeOf("app.js", "app.json", "pages/index/index.js", "pages/index/index.wxml"),
+    pkg: sizeOf("pkg/pages/list/list.js"),
+  });
+  assert.equal(report.total, sizes.main + sizes.pkg);
+  assert.deepEqual(report.warnings, []);
+});
+
+test("packOptions.ignore rules match files relative to miniprogramRoot", () => {
+  const isIgnored = createPackIgnore(fixture);
+  assert.equal(isIgnored("README.md"), true);
+  assert.equal(isIgnored("docs/guide.txt"), true);
+  assert.equal(isIgnored("docs/nested/guide.txt"), true);
+  assert.equal(isIgnored("tmp/scratch.js"), true);
+  assert.equal(isIgnored("pages/index/index.js"), false);
+  assert.equal(isIgnored("pages/docs/index.js"), false);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSession, recordStep, replayStep, RECORDED_VALUE } from "../index.js";
+
+const ok = text => ({ content: [{ type: "text", text }] });
+
+test("steps go to the recording of the session that ran them", () => {
+  const a = createSession("a");
+  const b = createSession("b");
+  a.recording = { name: "checkout", startedAt: new Date().toISOString(), steps: [] };
+
+  recordStep(b, "tap_element", { selector: "#pay" }, ok("Tapped: #pay"));
+  assert.equal(a.recording.steps.length, 0);
+  assert.equal(b.history.length, 1);
+
+  recordStep(a, "tap_element", { selector: "#buy" }, ok("Tapped: #buy"));
+  assert.deepEqual(a.recording.steps.map(step => step.args.selector), ["#buy"]);
+});
+
+test("only recordable tools with valid arguments are recorded", () => {
+  const session = createSession("c");
+  recordStep(session, "get_page_stack", {}, ok("[]"));
+  recordStep(session, "tap_element", {}, ok(""));
+  recordStep(session, "get_page_data", { path: "user" }, ok('{"name":"bob"}'));
+  assert.deepEqual(session.history.map(step => [step.tool, step.kind]), [["get_page_data", "assertion"]]);
+});
+
+const fakePage = data => ({
+  id: "fake",
+  miniProgram: { currentPage: async () => ({ path: "pages/index/index", data: async () => data }) },
+});
+
+test("page data assertions record the returned value", () => {
+  const session = createSession("d");
+  recordStep(session, "get_page_data", { path: "code" }, { ...ok("123"), [RECORDED_VALUE]: "123" });
+  recordStep(session, "get_page_data", { path: "missing" }, { ...ok("undefined"), [RECORDED_VALUE]: undefined });
+  assert.deepEqual(session.history.map(step => step.expected), [
+    { isError: false, text: "123", value: "123" },
+    { isError: false, text: "undefined", undefined: true },
+  ]);
+});
+
+test("replay compares against the recorded value, not the text", async () => {
+  const step = { tool: "get_page_data", kind: "assertion", args: { path: "code" }, expected: { isError: false, text: "123", value: "123" } };
+  assert.equal((await replayStep({ ...createSession("e"), ...fakePage("123") }, step)).passed, true);
+  assert.equal((await replayStep({ ...createSession("f"), ...fakePage(123) }, step)).passed, false);
+  const legacy = { ...step, expected: { isError: false, text: "123" } };
+  assert.equal((await replayStep({ ...createSession("g"), ...fakePage(123) }, legacy)).passed, true);
+});
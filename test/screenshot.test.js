@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getWindowTop } from "../index.js";
+
+const iphone = { platform: "ios", screenHeight: 812, statusBarHeight: 44, windowWidth: 375 };
+const capsule = { top: 50, height: 32 };
+
+test("window starts below the status and navigation bars", () => {
+  assert.equal(getWindowTop({ ...iphone, windowHeight: 724 }, capsule), 88);
+});
+
+test("a tabBar page keeps the same window top", () => {
+  // 812 - 88 (bars) - 83 (tabBar with home indicator)
+  assert.equal(getWindowTop({ ...iphone, windowHeight: 641 }, capsule), 88);
+});
+
+test("a custom navigation bar leaves the window at the top of the screen", () => {
+  assert.equal(getWindowTop({ ...iphone, windowHeight: 812 }, capsule), 0);
+});
+
+test("falls back to the platform navigation bar height without the capsule", () => {
+  assert.equal(getWindowTop({ ...iphone, windowHeight: 724 }, null), 88);
+  assert.equal(getWindowTop({ ...iphone, platform: "android", statusBarHeight: 24, windowHeight: 700 }, null), 72);
+});
+
+test("missing system info means no inset", () => {
+  assert.equal(getWindowTop(null, capsule), 0);
+  assert.equal(getWindowTop({ windowHeight: 600 }, capsule), 0);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeProjectStructure } from "../index.js";
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "structure");
+const structure = analyzeProjectStructure(fixture);
+const issuesOf = (type, location) => structure.issues.filter(issue => issue.type === type && (!location || issue.path === location));
+
+test("components inside a subpackage may use that subpackage's plugins", () => {
+  assert.deepEqual(issuesOf("unknown_plugin", "pkg/components/chart-card/index"), []);
+});
+
+test("main package pages may not use subpackage plugins", () => {
+  assert.equal(issuesOf("unknown_plugin", "pages/index/index").length, 1);
+});
+
+test("a subpackage route does not make the main page with the same suffix reachable", () => {
+  const reachable = Object.fromEntries(structure.pages.map(page => [page.route, page.reachable]));
+  assert.deepEqual(reachable, {
+    "pages/index/index": true,
+    "pages/detail/detail": false,
+    "pkg/pages/detail/detail": true,
+  });
+  assert.deepEqual(issuesOf("unreachable_page").map(issue => issue.path), ["pages/detail/detail"]);
+});
+
+test("pages report their subpackage", () => {
+  assert.deepEqual(structure.pages.map(page => page.subPackage), [null, null, "pkg"]);
+});